@@ -1,6 +1,22 @@
-import React from 'react';
+import React, { useState } from 'react';
+import SessionsScreen from './screens/SessionsScreen';
+import SettingsScreen from './screens/SettingsScreen';
 import StreamingScreen from './screens/StreamingScreen';
 
 export default function App() {
-  return <StreamingScreen />;
+  // 'streaming', 'sessions' or 'settings'; the other screens are only reachable while no conversation is running
+  const [screen, setScreen] = useState('streaming');
+
+  if (screen === 'sessions') {
+    return <SessionsScreen onClose={() => setScreen('streaming')} />;
+  }
+  if (screen === 'settings') {
+    return <SettingsScreen onClose={() => setScreen('streaming')} />;
+  }
+  return (
+    <StreamingScreen
+      onOpenSessions={() => setScreen('sessions')}
+      onOpenSettings={() => setScreen('settings')}
+    />
+  );
 }
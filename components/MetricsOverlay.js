@@ -0,0 +1,134 @@
+// components/MetricsOverlay.js
+import React, { useEffect, useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import { LATENCY_METRICS } from '../services/LatencyMetrics';
+
+// How often the numbers are refreshed while the overlay is open
+const REFRESH_INTERVAL_MS = 1000;
+
+const formatValue = (value, unit) => {
+  if (value === null) {
+    return '–';
+  }
+  if (unit === 'bytes' && value >= 1024) {
+    return `${(value / 1024).toFixed(1)} KB`;
+  }
+  return `${value} ${unit}`;
+};
+
+// Debug panel with the p50/p95 of the session's LatencyMetrics; not reachable from the regular UI.
+// `session` is anything with getMetrics() and resetMetrics(), e.g. a GeminiLiveSession.
+const MetricsOverlay = ({ visible, onClose, session }) => {
+  const [summary, setSummary] = useState(null);
+
+  useEffect(() => {
+    if (!visible) {
+      return undefined;
+    }
+    setSummary(session.getMetrics());
+    const interval = setInterval(() => setSummary(session.getMetrics()), REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [visible, session]);
+
+  if (!visible || !summary) {
+    return null;
+  }
+
+  const handleReset = () => {
+    session.resetMetrics();
+    setSummary(session.getMetrics());
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.headerText}>Metrics</Text>
+        <TouchableOpacity style={styles.headerButton} onPress={handleReset}>
+          <MaterialIcons name="restart-alt" size={20} color="#ffffff" />
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.headerButton} onPress={onClose}>
+          <MaterialIcons name="close" size={20} color="#ffffff" />
+        </TouchableOpacity>
+      </View>
+      <View style={styles.row}>
+        <Text style={[styles.label, styles.columnTitle]}> </Text>
+        <Text style={[styles.value, styles.columnTitle]}>p50</Text>
+        <Text style={[styles.value, styles.columnTitle]}>p95</Text>
+        <Text style={[styles.count, styles.columnTitle]}>n</Text>
+      </View>
+      {LATENCY_METRICS.map(({ name, label, unit }) => (
+        <View key={name} style={styles.row}>
+          <Text style={styles.label} numberOfLines={1}>{label}</Text>
+          <Text style={styles.value}>{formatValue(summary[name].p50, unit)}</Text>
+          <Text style={styles.value}>{formatValue(summary[name].p95, unit)}</Text>
+          <Text style={styles.count}>{summary[name].count}</Text>
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    top: 60,
+    left: 12,
+    right: 12,
+    padding: 12,
+    borderRadius: 12,
+    backgroundColor: 'rgba(20, 20, 20, 0.95)',
+    borderWidth: 1,
+    borderColor: 'rgba(255,255,255,0.15)',
+    zIndex: 10000,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  headerText: {
+    flex: 1,
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  headerButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    marginLeft: 8,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: 'rgba(255,255,255,0.1)',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 3,
+  },
+  columnTitle: {
+    color: '#9e9e9e',
+    fontWeight: '600',
+  },
+  label: {
+    flex: 1,
+    color: 'white',
+    fontSize: 13,
+  },
+  value: {
+    width: 72,
+    color: 'white',
+    fontSize: 13,
+    textAlign: 'right',
+    fontVariant: ['tabular-nums'],
+  },
+  count: {
+    width: 40,
+    color: '#9e9e9e',
+    fontSize: 13,
+    textAlign: 'right',
+  },
+});
+
+export default MetricsOverlay;
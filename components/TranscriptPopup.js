@@ -1,15 +1,24 @@
 // components/TranscriptPopup.js
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import { View, Text, TouchableOpacity, StyleSheet, ScrollView, Dimensions } from 'react-native';
 import { MaterialIcons } from '@expo/vector-icons';
+import { createLogger } from '../services/Logger';
 
-const TranscriptPopup = ({ visible, onClose, transcripts = [] }) => {
+const log = createLogger('TranscriptPopup');
+
+// Labels of the export formats, keyed like TranscriptExporter's EXPORT_FORMATS
+const EXPORT_FORMAT_LABELS = { markdown: 'Markdown', json: 'JSON', srt: 'SRT', vtt: 'WebVTT' };
+
+// `title` and per-message `timestamp`s are used for saved conversations opened from the sessions list.
+// With `onExport(format)` the header gets a share button offering the export formats.
+const TranscriptPopup = ({ visible, onClose, transcripts = [], bottomOffset = 150, title = 'Transcripts', onExport }) => {
   // Don't return null when not visible - instead manage visibility with style
   // This ensures the component is always mounted and sized properly
+  const [isExportMenuVisible, setIsExportMenuVisible] = useState(false);
   
   useEffect(() => {
     if (visible) {
-      console.log('TranscriptPopup visible with', transcripts.length, 'messages');
+      log.debug(`Visible with ${transcripts.length} messages`);
     }
   }, [visible, transcripts.length]);
   
@@ -20,9 +29,17 @@ const TranscriptPopup = ({ visible, onClose, transcripts = [] }) => {
   const { height } = Dimensions.get('window');
   
   return (
-    <View style={[styles.container, { display: visible ? 'flex' : 'none' }]}>
+    <View style={[styles.container, { bottom: bottomOffset, display: visible ? 'flex' : 'none' }]}>
       <View style={[styles.header, {marginTop: 40, marginHorizontal: 16}]}> 
-        <Text style={styles.headerText}>Transcripts ({displayTranscripts.length})</Text>
+        <Text style={styles.headerText} numberOfLines={1}>{title} ({displayTranscripts.length})</Text>
+        {onExport && displayTranscripts.length > 0 && (
+          <TouchableOpacity
+            style={[styles.closeButton, styles.exportButton]}
+            onPress={() => setIsExportMenuVisible((prev) => !prev)}
+          >
+            <MaterialIcons name="ios-share" size={22} color={isExportMenuVisible ? '#4CAF50' : '#ffffff'} />
+          </TouchableOpacity>
+        )}
         <TouchableOpacity 
           style={styles.closeButton}
           onPress={onClose}
@@ -30,6 +47,22 @@ const TranscriptPopup = ({ visible, onClose, transcripts = [] }) => {
           <MaterialIcons name="close" size={24} color="#ffffff" />
         </TouchableOpacity>
       </View>
+      {isExportMenuVisible && (
+        <View style={styles.exportMenu}>
+          {Object.entries(EXPORT_FORMAT_LABELS).map(([format, label]) => (
+            <TouchableOpacity
+              key={format}
+              style={styles.exportChip}
+              onPress={() => {
+                setIsExportMenuVisible(false);
+                onExport(format);
+              }}
+            >
+              <Text style={styles.exportChipText}>{label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
       <View style={[styles.messagesList, {flex: 1, marginHorizontal: 8, marginBottom: 24}]}> 
         <ScrollView 
           style={styles.scrollView}
@@ -55,6 +88,11 @@ const TranscriptPopup = ({ visible, onClose, transcripts = [] }) => {
                 >
                   {message.text}
                 </Text>
+                {message.timestamp && (
+                  <Text style={styles.timestampText}>
+                    {new Date(message.timestamp).toLocaleTimeString()}
+                  </Text>
+                )}
               </View>
             ))
           ) : (
@@ -89,6 +127,8 @@ const styles = StyleSheet.create({
     backgroundColor: 'rgba(30, 30, 30, 0.9)',
   },
   headerText: {
+    flex: 1,
+    marginRight: 12,
     color: 'white',
     fontSize: 20,
     fontWeight: '600',
@@ -102,6 +142,27 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     backgroundColor: 'rgba(255,255,255,0.1)',
   },
+  exportButton: {
+    marginRight: 8,
+  },
+  exportMenu: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    marginHorizontal: 16,
+    paddingVertical: 10,
+    backgroundColor: 'rgba(30, 30, 30, 0.9)',
+  },
+  exportChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    borderRadius: 16,
+    backgroundColor: 'rgba(255,255,255,0.1)',
+  },
+  exportChipText: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: '600',
+  },
   messagesList: {
     flex: 1,
     backgroundColor: 'rgba(0,0,0,0.5)',
@@ -161,6 +222,12 @@ const styles = StyleSheet.create({
     color: '#ccc',
     fontStyle: 'italic',
   },
+  timestampText: {
+    marginTop: 6,
+    fontSize: 12,
+    color: 'rgba(255,255,255,0.6)',
+    alignSelf: 'flex-end',
+  },
   emptyMessage: {
     textAlign: 'center',
     color: '#999',
@@ -1,15 +1,58 @@
 // config.js
 // Rule I: Configuration Management
 
-export const API_KEY = 'AAA'; // TODO: Replace with your actual API key (use secure storage)
-export const WEBSOCKET_HOST = 'generativelanguage.googleapis.com';
+// Credentials (see services/CredentialProvider.js); no API key is ever bundled with the app
+export const CREDENTIAL_MODE = 'secureStore'; // 'secureStore': key entered in Settings; 'ephemeralToken': tokens from token-server/
+export const TOKEN_SERVER_URL = 'http://localhost:8787'; // Companion token server (npm run token-server)
+export const TOKEN_REFRESH_MARGIN_MS = 30000; // Fetch a new token this long before the current one stops working
+export const WEBSOCKET_SCHEME = 'wss'; // Use 'ws' for the local mock server (npm run mock-server)
+export const WEBSOCKET_HOST = 'generativelanguage.googleapis.com'; // e.g. '192.168.0.10:8765' for the mock server
 export const WEBSOCKET_PATH = '/ws/google.ai.generativelanguage.v1beta.GenerativeService.BidiGenerateContent';
+export const EPHEMERAL_TOKEN_WEBSOCKET_PATH = '/ws/google.ai.generativelanguage.v1alpha.GenerativeService.BidiGenerateContentConstrained'; // Ephemeral tokens only work here
 export const MODEL_NAME = 'models/gemini-2.0-flash-live-001'; // Or your desired model
+export const DEFAULT_CONVERSATION_MODE = 'always-on'; // 'push-to-talk' for kiosks and loud rooms
+export const DEFAULT_SYSTEM_INSTRUCTION = 'You are a helpful knowledge asisstant bot. Answer user questions in a cheerful way.'; // Used when connect() gets no systemInstruction
 export const AUDIO_SAMPLE_RATE = 16000; // Hz - Ensure this matches the mimeType in WebSocketService
+export const CAPTURE_SAMPLE_RATES = [16000, 48000, 44100]; // Microphone rates tried in order; others are resampled to AUDIO_SAMPLE_RATE
 export const AUDIO_CHANNELS = 1; // Mono
 export const AUDIO_BITS_PER_SAMPLE = 16; // PCM16
+export const PRE_ROLL_BUFFER_MS = 5000; // Microphone audio kept while connecting and replayed on setupComplete
 
 // Audio processing configuration
 export const AEC_ENABLED = true; // Enable Acoustic Echo Cancellation
 export const AGC_ENABLED = true; // Enable Automatic Gain Control
 export const NS_ENABLED = true;  // Enable Noise Suppression
+
+// Reconnection / session resumption
+export const RECONNECT_MAX_ATTEMPTS = 5; // Give up after this many consecutive failed reconnects
+export const RECONNECT_BASE_DELAY_MS = 500; // First retry delay, doubled on every attempt
+export const RECONNECT_MAX_DELAY_MS = 15000; // Upper bound for the backoff delay
+
+// Model audio playback
+export const PLAYBACK_JITTER_BUFFER_MS = 120; // Audio held back before a response starts playing, absorbs network jitter
+export const PLAYBACK_JITTER_MAX_WAIT_MS = 250; // Start playing anyway if the jitter buffer hasn't filled by then
+
+// Token usage and cost (see services/UsageTracker.js)
+// USD per million tokens by modality, from the Gemini API price list; check it before quoting numbers
+export const MODEL_PRICING = {
+  'models/gemini-2.0-flash-live-001': {
+    input: { TEXT: 0.35, AUDIO: 2.1, IMAGE: 2.1, VIDEO: 2.1 },
+    output: { TEXT: 1.5, AUDIO: 8.5 },
+  },
+  'models/gemini-2.5-flash-native-audio-preview-09-2025': {
+    input: { TEXT: 0.5, AUDIO: 3.0, IMAGE: 3.0, VIDEO: 3.0 },
+    output: { TEXT: 2.0, AUDIO: 12.0 },
+  },
+};
+export const BUDGET_SOFT_LIMIT_USD = null; // Warn once a conversation has cost this much; null for no warning
+export const BUDGET_HARD_LIMIT_USD = null; // End the conversation at this cost; null for no limit
+
+// Traffic capture / replay (debugging)
+export const TRAFFIC_CAPTURE_ENABLED = false; // Save a JSONL cassette of every WebSocket frame for each conversation
+export const REPLAY_CASSETTE_URI = null; // e.g. 'http://192.168.0.10:8000/cassette.jsonl'; plays it back instead of connecting
+export const REPLAY_SPEED = 1; // 1 = original timing, 4 = four times as fast, Infinity = no delays
+
+// Logging (see services/Logger.js)
+export const LOG_LEVEL = 'info'; // 'debug' | 'info' | 'warn' | 'error' | 'silent'
+export const LOG_NAMESPACE_LEVELS = {}; // Per-module overrides, e.g. { AudioInputPipeline: 'debug' }
+export const LOG_FILE_ENABLED = false; // Also write logs to logs/app.log in the document directory
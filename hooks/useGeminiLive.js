@@ -0,0 +1,424 @@
+// hooks/useGeminiLive.js
+// Rule XI: useGeminiLive Hook - React state and controls for one Gemini Live session
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import { OPEN_STATES } from "../services/ConnectionStateMachine";
+import { defaultSession } from "../services/GeminiLiveSession";
+import PermissionsService from "../services/PermissionsService";
+import { formatCostUsd } from "../services/UsageTracker";
+import { createLogger } from "../services/Logger";
+
+const log = createLogger("useGeminiLive");
+
+/**
+ * Cuts a model transcript down to the part the user actually heard before barging in.
+ * Transcription arrives roughly in step with the audio, so the played share of the
+ * received audio is used as the share of the text to keep.
+ */
+export const truncateToPlayedPortion = (text, playedMs, receivedMs) => {
+    if (!text || !receivedMs || playedMs >= receivedMs) {
+        return text;
+    }
+
+    const cutIndex = Math.floor(text.length * (playedMs / receivedMs));
+    // Don't split a word: back up to the last space before the cut
+    const lastSpace = text.lastIndexOf(" ", cutIndex);
+    const kept = text.slice(0, lastSpace > 0 ? lastSpace : cutIndex).trimEnd();
+    return `${kept}…`;
+};
+
+// Entry ids double as start timestamps in ConversationStore; keep them unique within a millisecond
+let lastEntryId = 0;
+const nextEntryId = () => {
+    lastEntryId = Math.max(Date.now(), lastEntryId + 1);
+    return lastEntryId;
+};
+
+const finalize = (entry) => (entry.isFinal ? entry : { ...entry, isFinal: true });
+
+/**
+ * Adds a transcript fragment to the open bubble of its speaker, or opens a new one.
+ * @param {Object} transcript - { entries, openTurnIds: { user, model } }
+ * @param {Object} event - Payload of the session's transcript event
+ * @returns {Object} - The next { entries, openTurnIds }
+ */
+const applyTranscript = ({ entries, openTurnIds }, { text, isFinal, type, source }) => {
+    // Typed turns arrive complete: close any open bubbles so the reply starts a new one
+    if (type === "user" && source === "text") {
+        const id = nextEntryId();
+        return {
+            entries: [...entries.map(finalize), { text, isFinal: true, type, source, id }],
+            openTurnIds: { user: id, model: null },
+        };
+    }
+
+    let nextEntries = entries;
+    if (type === "model") {
+        // The model answering ends the user's utterance, even if no finished transcription arrived
+        nextEntries = entries.map((entry) =>
+            entry.id === openTurnIds.user ? finalize(entry) : entry
+        );
+    }
+
+    const openId = openTurnIds[type];
+    const open = nextEntries.find((entry) => entry.id === openId);
+    if (!open || open.isFinal) {
+        const id = nextEntryId();
+        return {
+            entries: [...nextEntries, { text, isFinal, type, id }],
+            openTurnIds: { ...openTurnIds, [type]: id },
+        };
+    }
+
+    // Fragments are appended to the open bubble, not replacing it
+    return {
+        entries: nextEntries.map((entry) =>
+            entry.id === openId ? { ...entry, text: entry.text + text, isFinal } : entry
+        ),
+        openTurnIds,
+    };
+};
+
+const EMPTY_TRANSCRIPT = { entries: [], openTurnIds: { user: null, model: null } };
+
+/**
+ * Connection, microphone, playback and transcript state of a Gemini Live
+ * session, for any screen that holds a conversation. Listeners are removed and
+ * the session is disconnected when the component unmounts.
+ *
+ * Errors are reported through onError(message, kind) so each screen can show
+ * them its own way; kind is 'permission', 'audio', 'session' or 'budget' (the
+ * conversation's estimated cost reached a limit of options.budget).
+ *
+ * @param {Object} [params]
+ * @param {GeminiLiveSession} [params.session] - Defaults to the app's default session
+ * @param {Function} [params.onSessionStart] - Called once the session is connecting, before the microphone starts
+ * @param {Function} [params.onSessionEnd] - Called once when a started session ends, however it ends
+ * @param {Function} [params.onError] - (message, kind) => void
+ * @returns {Object} - See the returned fields at the end of the hook
+ */
+const useGeminiLive = ({
+    session = defaultSession,
+    onSessionStart,
+    onSessionEnd,
+    onError,
+} = {}) => {
+    // The session's connection state, see CONNECTION_STATES in ConnectionStateMachine.js
+    const [status, setStatus] = useState(session.getConnectionState());
+    const [statusMessage, setStatusMessage] = useState("Disconnected");
+    const [isLoading, setIsLoading] = useState(false);
+    const [isRecording, setIsRecording] = useState(false);
+    const [isMuted, setIsMutedState] = useState(false);
+    const [transcripts, setTranscripts] = useState([]);
+    // Push-to-talk: the session's conversationMode and whether the talk button is held
+    const [isPushToTalk, setIsPushToTalk] = useState(false);
+    const [isTalking, setIsTalking] = useState(false);
+    const [inputState, setInputState] = useState("inactive");
+
+    // Transcript and its open bubbles, kept in one ref so event handlers always see the latest
+    const transcriptRef = useRef(EMPTY_TRANSCRIPT);
+    const isSessionActiveRef = useRef(false);
+    const isTextOnlyRef = useRef(false);
+    // Latest callbacks, so the session listeners don't have to be re-attached when they change
+    const callbacksRef = useRef({});
+    callbacksRef.current = { onSessionStart, onSessionEnd, onError };
+
+    const isConnected = OPEN_STATES.includes(status);
+    const serverSpeaking = status === "model-speaking";
+
+    const updateTranscript = useCallback((update) => {
+        transcriptRef.current = update(transcriptRef.current);
+        setTranscripts(transcriptRef.current.entries);
+    }, []);
+
+    const reportError = useCallback((message, kind) => {
+        callbacksRef.current.onError?.(message, kind);
+    }, []);
+
+    const endSession = useCallback(() => {
+        if (!isSessionActiveRef.current) {
+            return;
+        }
+        isSessionActiveRef.current = false;
+        callbacksRef.current.onSessionEnd?.();
+    }, []);
+
+    // --- Session Events --- START ---
+    useEffect(() => {
+        const stopAudio = () => {
+            setIsRecording(false);
+            setIsTalking(false);
+            session.audioInput.stopRecording();
+            session.audioOutput.clearPlaybackQueue();
+        };
+
+        const handleStateChange = ({ to, cause }) => {
+            setStatus(to);
+            setIsLoading(to === "connecting" || to === "closing");
+
+            switch (to) {
+                case "awaiting-setup": {
+                    const options = session.getSessionOptions();
+                    setIsPushToTalk(options.conversationMode === "push-to-talk");
+                    setStatusMessage(
+                        options.responseModalities[0] === "TEXT"
+                            ? "Connected. Type a message."
+                            : "Connected. Ready to record."
+                    );
+                    break;
+                }
+                case "reconnecting":
+                    // Keep recording: the input pipeline buffers frames until the
+                    // resumed session completes setup again
+                    setStatusMessage("Connection lost. Reconnecting...");
+                    session.audioOutput.clearPlaybackQueue();
+                    break;
+                case "idle":
+                    endSession();
+                    setStatusMessage("Disconnected");
+                    stopAudio();
+                    break;
+                case "failed":
+                    // The session reports the reason through its error event
+                    log.warn("Session failed:", cause);
+                    endSession();
+                    setStatusMessage("Connection Error. Please try again.");
+                    stopAudio();
+                    break;
+                default:
+                    break;
+            }
+        };
+
+        // Failures also move the session to 'failed'; other errors leave it running
+        const handleError = (message) => {
+            log.error("Session error:", message);
+            reportError(message || "An unknown error occurred", "session");
+        };
+
+        // The session itself ends at the hard limit; this only tells the user why
+        const handleBudget = ({ level, costUsd, limitUsd }) => {
+            const cost = formatCostUsd(costUsd);
+            const limit = formatCostUsd(limitUsd);
+            reportError(
+                level === "hard"
+                    ? `This conversation reached its cost limit of ${limit} (about ${cost}) and was ended.`
+                    : `This conversation has cost about ${cost}, over the ${limit} warning limit.`,
+                "budget"
+            );
+        };
+
+        const handleAudio = (audioData) => {
+            session.audioOutput.playAudioChunk(audioData);
+        };
+
+        const handleTranscript = (event) => {
+            log.debug("Transcript:", event.type, event.isFinal ? "(final)" : "", event.text);
+            if (event.text && event.text.trim()) {
+                updateTranscript((transcript) => applyTranscript(transcript, event));
+            }
+        };
+
+        const handleInterrupted = async () => {
+            log.info("Model interrupted");
+            setStatusMessage("Server interrupted.");
+
+            // Stop the model mid-sentence and keep only what was actually played
+            const progress = await session.audioOutput.clearPlaybackQueue();
+            if (!progress) {
+                return;
+            }
+            updateTranscript((transcript) => ({
+                ...transcript,
+                entries: transcript.entries.map((entry) =>
+                    entry.id === transcript.openTurnIds.model && !entry.isFinal
+                        ? {
+                              ...entry,
+                              text: truncateToPlayedPortion(
+                                  entry.text,
+                                  progress.playedMs,
+                                  progress.receivedMs
+                              ),
+                              isFinal: true,
+                              interrupted: true,
+                          }
+                        : entry
+                ),
+            }));
+        };
+
+        const handleTurnComplete = () => {
+            log.info("Turn complete");
+            setStatusMessage("Server turn complete.");
+            updateTranscript((transcript) => ({
+                ...transcript,
+                entries: transcript.entries.map((entry) =>
+                    entry.id === transcript.openTurnIds.model ? finalize(entry) : entry
+                ),
+            }));
+        };
+
+        const unsubscribers = [
+            session.on("stateChange", handleStateChange),
+            session.on("error", handleError),
+            session.on("budget", handleBudget),
+            session.on("audio", handleAudio),
+            session.on("transcript", handleTranscript),
+            session.on("interrupted", handleInterrupted),
+            session.on("turnComplete", handleTurnComplete),
+            session.on("inputState", ({ state }) => setInputState(state)),
+        ];
+
+        return () => {
+            // Unsubscribe first: the disconnect below must not update an unmounted component
+            unsubscribers.forEach((unsubscribe) => unsubscribe());
+            endSession(); // Keep what was said if the screen goes away mid-conversation
+            session.disconnect();
+            session.audioInput.stopRecording();
+            session.audioOutput.clearPlaybackQueue();
+        };
+    }, [session, endSession, reportError, updateTranscript]);
+    // --- Session Events --- END ---
+
+    // Once connected with the microphone running, tell the user how to talk; start() runs the microphone
+    useEffect(() => {
+        if (!isConnected || !isRecording || isTextOnlyRef.current) {
+            return;
+        }
+        setStatusMessage(
+            session.getSessionOptions().conversationMode === "push-to-talk"
+                ? "Conversation active. Hold the button to talk."
+                : "Conversation active. Speak now!"
+        );
+    }, [isConnected, isRecording, session]);
+
+    // --- Controls --- START ---
+
+    /**
+     * Connects and, unless the session is text-only, starts the microphone.
+     * @param {Object} [options] - Session options for connect(); responseModalities ['TEXT'] means no microphone
+     * @returns {Promise<boolean>} - false if the session could not be started
+     */
+    const start = useCallback(
+        async (options = {}) => {
+            const isTextOnly = options.responseModalities?.[0] === "TEXT";
+            setStatusMessage("Starting conversation...");
+            setIsLoading(true);
+
+            if (!isTextOnly) {
+                const hasPermission = await PermissionsService.requestMicrophonePermission();
+                if (!hasPermission) {
+                    setIsLoading(false);
+                    setStatusMessage("Microphone permission required for conversation.");
+                    reportError("Microphone permission is needed to use this app.", "permission");
+                    return false;
+                }
+            }
+
+            if (!session.connect(options)) {
+                setIsLoading(false);
+                return false;
+            }
+
+            // Each start begins a new conversation with an empty transcript
+            isTextOnlyRef.current = isTextOnly;
+            transcriptRef.current = EMPTY_TRANSCRIPT;
+            setTranscripts([]);
+            isSessionActiveRef.current = true;
+            callbacksRef.current.onSessionStart?.();
+
+            // Capture from the tap on; frames wait in the pre-roll buffer until setupComplete
+            if (!isTextOnly) {
+                const success = await session.audioInput.startRecording();
+                setIsRecording(success);
+                if (!success) {
+                    setStatusMessage("Audio capture failed.");
+                    reportError("Failed to start audio capture. Please try again.", "audio");
+                }
+            }
+            return true;
+        },
+        [session, reportError]
+    );
+
+    // Ends the conversation; the stateChange listener finishes the cleanup
+    const stop = useCallback(async () => {
+        setStatusMessage("Ending conversation...");
+        setIsLoading(true);
+
+        await session.audioInput.stopRecording();
+        setIsRecording(false);
+        session.audioInput.setMuted(false);
+        setIsMutedState(false);
+
+        session.disconnect();
+    }, [session]);
+
+    /**
+     * Sends a typed turn; works during a voice session too.
+     * @param {string} text
+     * @returns {boolean} - false if nothing was sent
+     */
+    const sendText = useCallback(
+        (text) => {
+            if (session.sendTextInput(text)) {
+                return true;
+            }
+            if (text && text.trim()) {
+                setStatusMessage("Not ready yet - try again in a moment.");
+            }
+            return false;
+        },
+        [session]
+    );
+
+    const setMuted = useCallback(
+        (muted) => {
+            setIsMutedState(muted);
+            session.audioInput.setMuted(muted);
+        },
+        [session]
+    );
+
+    // Push-to-talk: stream while held, let the model answer on release
+    const startTalking = useCallback(() => {
+        if (session.audioInput.startTalking()) {
+            setIsTalking(true);
+            setStatusMessage("Listening...");
+        }
+    }, [session]);
+
+    const stopTalking = useCallback(() => {
+        if (!session.audioInput.isTalkActive()) {
+            return;
+        }
+        session.audioInput.stopTalking();
+        setIsTalking(false);
+        setStatusMessage("Waiting for response...");
+    }, [session]);
+
+    // --- Controls --- END ---
+
+    return {
+        status,
+        isConnected,
+        statusMessage,
+        setStatusMessage, // For screen-specific notices
+        isLoading,
+        isRecording,
+        isMuted,
+        serverSpeaking,
+        transcripts,
+        isPushToTalk,
+        isTalking,
+        inputState,
+        start,
+        stop,
+        sendText,
+        setMuted,
+        startTalking,
+        stopTalking,
+    };
+};
+
+export default useGeminiLive;
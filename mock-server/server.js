@@ -0,0 +1,314 @@
+// mock-server/server.js
+// Local mock of the Gemini Live BidiGenerateContent WebSocket for offline development.
+//
+// Usage: node mock-server/server.js [--port 8765] [--scenario basic-turn] [--text-frames]
+//
+// The server performs the setup handshake, accepts realtimeInput audio and plays
+// back the scripted turns of a scenario file from mock-server/scenarios/.
+
+const fs = require('fs');
+const path = require('path');
+const { WebSocketServer } = require('ws');
+
+const DEFAULT_PORT = 8765;
+const OUTPUT_SAMPLE_RATE = 24000; // Gemini outputs 24kHz PCM16 mono
+const INPUT_BYTES_PER_MS = (16000 * 2) / 1000; // 16kHz PCM16 mono from the app
+const DEFAULT_CHUNK_MS = 40;
+
+// --- CLI --- START ---
+
+const parseArgs = (argv) => {
+  const args = { port: DEFAULT_PORT, scenario: 'basic-turn', textFrames: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') args.port = parseInt(argv[++i], 10);
+    else if (arg === '--scenario') args.scenario = argv[++i];
+    else if (arg === '--text-frames') args.textFrames = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  return args;
+};
+
+const loadScenario = (nameOrPath) => {
+  const candidates = [
+    nameOrPath,
+    path.join(__dirname, 'scenarios', nameOrPath),
+    path.join(__dirname, 'scenarios', `${nameOrPath}.json`),
+  ];
+  const file = candidates.find((candidate) => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+  if (!file) {
+    throw new Error(`Scenario not found: ${nameOrPath}`);
+  }
+
+  const scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(scenario.turns)) {
+    throw new Error(`Scenario ${file} must have a "turns" array`);
+  }
+  scenario.baseDir = path.dirname(file);
+  return scenario;
+};
+
+// --- CLI --- END ---
+
+// --- Audio helpers --- START ---
+
+// PCM16 little-endian sine tone, so scripted model speech is audible on the device
+const generateTone = ({ frequency = 440, durationMs = 500, amplitude = 0.3 }) => {
+  const sampleCount = Math.round((OUTPUT_SAMPLE_RATE * durationMs) / 1000);
+  const buffer = Buffer.alloc(sampleCount * 2);
+  const fadeSamples = Math.min(240, Math.floor(sampleCount / 2)); // 10ms fade in/out avoids clicks
+  for (let i = 0; i < sampleCount; i++) {
+    const fade = Math.min(1, i / fadeSamples, (sampleCount - 1 - i) / fadeSamples);
+    const value = Math.sin((2 * Math.PI * frequency * i) / OUTPUT_SAMPLE_RATE) * amplitude * fade;
+    buffer.writeInt16LE(Math.round(value * 32767), i * 2);
+  }
+  return buffer;
+};
+
+const loadPcm = (audio, baseDir) => {
+  if (audio.file) {
+    return fs.readFileSync(path.resolve(baseDir, audio.file));
+  }
+  if (audio.silenceMs) {
+    return Buffer.alloc(Math.round((OUTPUT_SAMPLE_RATE * audio.silenceMs) / 1000) * 2);
+  }
+  return generateTone(audio);
+};
+
+const splitPcm = (pcm, chunkMs) => {
+  const chunkBytes = Math.round((OUTPUT_SAMPLE_RATE * chunkMs) / 1000) * 2;
+  const chunks = [];
+  for (let offset = 0; offset < pcm.length; offset += chunkBytes) {
+    chunks.push(pcm.subarray(offset, offset + chunkBytes));
+  }
+  return chunks;
+};
+
+// --- Audio helpers --- END ---
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * One client connection. Turns are consumed in order; each waits for its
+ * trigger and then streams its events.
+ */
+class MockSession {
+  constructor(socket, scenario, { textFrames, sessionNumber }) {
+    this.socket = socket;
+    this.scenario = scenario;
+    this.textFrames = textFrames;
+    this.sessionNumber = sessionNumber;
+    this.turnIndex = 0;
+    this.setupDone = false;
+    this.closed = false;
+    this.playing = false;
+    this.audioBytesSinceTurn = 0;
+    this.missedTriggers = new Set(); // Non-audio triggers that arrived while a turn was playing
+    this.handleCounter = 0;
+    this.log = (...args) => console.log(`[session ${sessionNumber}]`, ...args);
+
+    socket.on('message', (data, isBinary) => this.handleClientFrame(data, isBinary));
+    socket.on('close', (code, reason) => {
+      this.closed = true;
+      this.log(`Client closed (${code}) ${reason || ''}`);
+    });
+  }
+
+  send(message) {
+    if (this.closed) return;
+    const json = JSON.stringify(message);
+    // The real service sends JSON inside binary frames; --text-frames switches to text
+    this.socket.send(this.textFrames ? json : Buffer.from(json, 'utf8'), { binary: !this.textFrames });
+  }
+
+  handleClientFrame(data, isBinary) {
+    let message;
+    try {
+      message = JSON.parse(isBinary ? Buffer.from(data).toString('utf8') : data.toString());
+    } catch (error) {
+      this.log('Received non-JSON frame, closing');
+      this.socket.close(1007, 'Request contains an invalid argument.');
+      return;
+    }
+
+    if (!this.setupDone) {
+      this.handleSetup(message);
+      return;
+    }
+
+    if (message.realtimeInput) {
+      const input = message.realtimeInput;
+      if (input.audio?.data) {
+        this.audioBytesSinceTurn += Buffer.from(input.audio.data, 'base64').length;
+        this.onTrigger('audio');
+      }
+      if (input.audioStreamEnd) this.onTrigger('audioStreamEnd');
+      if (input.activityStart) this.onTrigger('activityStart');
+      if (input.activityEnd) this.onTrigger('activityEnd');
+    } else if (message.clientContent) {
+      this.onTrigger('clientContent');
+    } else if (message.toolResponse) {
+      this.log(`Tool response: ${JSON.stringify(message.toolResponse)}`);
+      this.onTrigger('toolResponse');
+    } else {
+      this.log(`Ignoring client message with keys: ${Object.keys(message).join(', ')}`);
+    }
+  }
+
+  handleSetup(message) {
+    if (!message.setup || typeof message.setup.model !== 'string') {
+      this.log('First message was not a valid setup message, closing');
+      this.socket.close(1007, 'Request contains an invalid argument.');
+      return;
+    }
+
+    this.setup = message.setup;
+    this.setupDone = true;
+    this.log(`Setup for ${message.setup.model}${message.setup.sessionResumption?.handle ? ' (resuming)' : ''}`);
+    this.send({ setupComplete: {} });
+
+    if (message.setup.sessionResumption) {
+      this.sendResumptionUpdate();
+    }
+    this.onTrigger('setup');
+  }
+
+  sendResumptionUpdate() {
+    this.handleCounter++;
+    this.send({
+      sessionResumptionUpdate: {
+        newHandle: `mock-${this.sessionNumber}-${this.handleCounter}`,
+        resumable: true,
+      },
+    });
+  }
+
+  currentTurn() {
+    if (this.turnIndex >= this.scenario.turns.length) {
+      if (!this.scenario.loop) return null;
+      this.turnIndex = 0;
+    }
+    return this.scenario.turns[this.turnIndex];
+  }
+
+  onTrigger(type) {
+    const turn = this.currentTurn();
+    if (!turn) return;
+    if (this.playing) {
+      if (type !== 'audio') this.missedTriggers.add(type);
+      return;
+    }
+
+    const trigger = turn.trigger || { type: 'audio' };
+    if (trigger.type !== type) return;
+    if (type === 'audio' && this.audioBytesSinceTurn < (trigger.minMs || 0) * INPUT_BYTES_PER_MS) return;
+
+    this.playTurn(turn);
+  }
+
+  async playTurn(turn) {
+    this.playing = true;
+    this.turnIndex++;
+    this.log(`Playing turn ${this.turnIndex}${turn.name ? ` (${turn.name})` : ''}`);
+
+    for (const event of turn.events || []) {
+      if (this.closed) return;
+      if (event.delayMs) await sleep(event.delayMs);
+      await this.playEvent(event);
+    }
+
+    this.playing = false;
+    this.audioBytesSinceTurn = 0;
+
+    const missed = Array.from(this.missedTriggers);
+    this.missedTriggers.clear();
+    missed.forEach((type) => this.onTrigger(type));
+
+    // Turns that follow on their own (e.g. after a tool response was already received)
+    const next = this.currentTurn();
+    if (next?.trigger?.type === 'delay') {
+      setTimeout(() => this.onTrigger('delay'), next.trigger.ms || 0);
+    }
+  }
+
+  async playEvent(event) {
+    if (event.audio) {
+      const chunkMs = event.audio.chunkMs || DEFAULT_CHUNK_MS;
+      const chunks = splitPcm(loadPcm(event.audio, this.scenario.baseDir), chunkMs);
+      for (const chunk of chunks) {
+        if (this.closed) return;
+        this.send({
+          serverContent: {
+            modelTurn: {
+              parts: [{ inlineData: { mimeType: `audio/pcm;rate=${OUTPUT_SAMPLE_RATE}`, data: chunk.toString('base64') } }],
+            },
+          },
+        });
+        // Pace chunks slightly faster than real time, like the real service
+        await sleep(chunkMs * 0.8);
+      }
+    } else if (event.text !== undefined) {
+      this.send({ serverContent: { modelTurn: { parts: [{ text: event.text }] } } });
+    } else if (event.inputTranscription !== undefined) {
+      this.send({ serverContent: { inputTranscription: { text: event.inputTranscription } } });
+    } else if (event.outputTranscription !== undefined) {
+      this.send({ serverContent: { outputTranscription: { text: event.outputTranscription } } });
+    } else if (event.interrupted) {
+      this.send({ serverContent: { interrupted: true } });
+    } else if (event.generationComplete) {
+      this.send({ serverContent: { generationComplete: true } });
+    } else if (event.turnComplete) {
+      this.send({ serverContent: { turnComplete: true } });
+    } else if (event.toolCall) {
+      this.send({ toolCall: event.toolCall });
+    } else if (event.toolCallCancellation) {
+      this.send({ toolCallCancellation: event.toolCallCancellation });
+    } else if (event.goAway) {
+      this.send({ goAway: event.goAway });
+    } else if (event.sessionResumptionUpdate) {
+      this.sendResumptionUpdate();
+    } else if (event.usageMetadata) {
+      this.send({ usageMetadata: event.usageMetadata });
+    } else if (event.raw) {
+      this.send(event.raw);
+    } else if (event.close) {
+      this.log(`Closing with ${event.close.code}`);
+      this.socket.close(event.close.code || 1011, event.close.reason || '');
+    } else if (event.terminate) {
+      // Drop the TCP connection without a close frame, like a network blip
+      this.log('Terminating connection');
+      this.socket.terminate();
+    } else if (!event.delayMs) {
+      this.log(`Unknown scenario event: ${JSON.stringify(event)}`);
+    }
+  }
+}
+
+const main = () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log('Usage: node mock-server/server.js [--port 8765] [--scenario <name|path>] [--text-frames]');
+    return;
+  }
+
+  const scenario = loadScenario(args.scenario);
+  const server = new WebSocketServer({ port: args.port });
+  let sessionNumber = 0;
+
+  server.on('connection', (socket, request) => {
+    sessionNumber++;
+    console.log(`[session ${sessionNumber}] Connected: ${request.url.split('?')[0]}`);
+    new MockSession(socket, scenario, { textFrames: args.textFrames, sessionNumber });
+  });
+
+  server.on('listening', () => {
+    console.log(`Mock Gemini Live server listening on ws://localhost:${args.port} (scenario: ${scenario.name || args.scenario})`);
+  });
+};
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { MockSession, loadScenario, generateTone };
@@ -0,0 +1,346 @@
+// screens/SessionsScreen.js
+// Rule VI: Sessions Screen - browse, search, rename and delete past conversations
+
+import { MaterialIcons } from "@expo/vector-icons";
+import React, { useCallback, useEffect, useState } from "react";
+import {
+    ActivityIndicator,
+    Alert,
+    FlatList,
+    SafeAreaView,
+    StatusBar,
+    StyleSheet,
+    Text,
+    TextInput,
+    TouchableOpacity,
+    View,
+} from "react-native";
+import TranscriptPopup from "../components/TranscriptPopup";
+import ConversationStore, {
+    getConversationTitle,
+} from "../services/ConversationStore";
+import { shareTranscript } from "../services/TranscriptExporter";
+import { formatCostUsd } from "../services/UsageTracker";
+import { createLogger } from "../services/Logger";
+
+const log = createLogger("SessionsScreen");
+
+const SEARCH_DEBOUNCE_MS = 250;
+
+const formatDuration = (durationMs) => {
+    const totalSeconds = Math.round((durationMs || 0) / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, "0")}`;
+};
+
+// Saved turns in the shape TranscriptPopup renders
+const toTranscriptEntries = (conversation) =>
+    conversation.turns.map((turn) => ({
+        id: turn.id,
+        type: turn.speaker,
+        text: turn.text,
+        isFinal: true,
+        timestamp: turn.startedAt,
+    }));
+
+const SessionsScreen = ({ onClose }) => {
+    const [query, setQuery] = useState("");
+    const [conversations, setConversations] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [renamingId, setRenamingId] = useState(null);
+    const [renameText, setRenameText] = useState("");
+    const [openConversation, setOpenConversation] = useState(null);
+
+    const loadConversations = useCallback(async (searchQuery) => {
+        try {
+            setConversations(
+                await ConversationStore.searchConversations(searchQuery)
+            );
+        } catch (error) {
+            log.error("Failed to load conversations:", error);
+            Alert.alert("Error", "Could not load past conversations.");
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+
+    // Search as the user types, but not on every keystroke
+    useEffect(() => {
+        const timer = setTimeout(
+            () => loadConversations(query),
+            SEARCH_DEBOUNCE_MS
+        );
+        return () => clearTimeout(timer);
+    }, [query, loadConversations]);
+
+    const handleOpen = async (id) => {
+        try {
+            const conversation = await ConversationStore.getConversation(id);
+            if (conversation) {
+                setOpenConversation(conversation);
+            }
+        } catch (error) {
+            log.error("Failed to open conversation:", error);
+            Alert.alert("Error", "Could not open this conversation.");
+        }
+    };
+
+    const handleExport = async (format) => {
+        try {
+            await shareTranscript(
+                {
+                    ...openConversation,
+                    title: getConversationTitle(openConversation),
+                },
+                format
+            );
+        } catch (error) {
+            log.error("Export failed:", error);
+            Alert.alert("Error", "Could not export this transcript.");
+        }
+    };
+
+    const handleStartRename = (item) => {
+        setRenamingId(item.id);
+        setRenameText(item.title);
+    };
+
+    const handleSubmitRename = async () => {
+        const id = renamingId;
+        setRenamingId(null);
+        try {
+            await ConversationStore.renameConversation(id, renameText);
+            loadConversations(query);
+        } catch (error) {
+            log.error("Rename failed:", error);
+            Alert.alert("Error", "Could not rename this conversation.");
+        }
+    };
+
+    const handleDelete = (item) => {
+        Alert.alert(
+            "Delete Conversation",
+            `Delete "${item.title}"? This cannot be undone.`,
+            [
+                { text: "Cancel", style: "cancel" },
+                {
+                    text: "Delete",
+                    style: "destructive",
+                    onPress: async () => {
+                        try {
+                            await ConversationStore.deleteConversation(item.id);
+                            loadConversations(query);
+                        } catch (error) {
+                            log.error("Delete failed:", error);
+                            Alert.alert("Error", "Could not delete this conversation.");
+                        }
+                    },
+                },
+            ]
+        );
+    };
+
+    const renderItem = ({ item }) => (
+        <TouchableOpacity
+            style={styles.row}
+            onPress={() => handleOpen(item.id)}
+            disabled={renamingId === item.id}
+            activeOpacity={0.7}
+        >
+            <View style={styles.rowContent}>
+                {renamingId === item.id ? (
+                    <TextInput
+                        style={styles.renameInput}
+                        value={renameText}
+                        onChangeText={setRenameText}
+                        onSubmitEditing={handleSubmitRename}
+                        onBlur={() => setRenamingId(null)}
+                        returnKeyType="done"
+                        autoFocus
+                    />
+                ) : (
+                    <Text style={styles.rowTitle} numberOfLines={1}>
+                        {item.title}
+                    </Text>
+                )}
+                <Text style={styles.rowMeta}>
+                    {new Date(item.startedAt).toLocaleString()} ·{" "}
+                    {formatDuration(item.durationMs)} · {item.turnCount}{" "}
+                    {item.turnCount === 1 ? "turn" : "turns"}
+                    {/* Saved before cost tracking, or with a model missing from MODEL_PRICING */}
+                    {typeof item.costUsd === "number" &&
+                        ` · ${formatCostUsd(item.costUsd)}`}
+                </Text>
+            </View>
+            <TouchableOpacity
+                style={styles.rowButton}
+                onPress={() => handleStartRename(item)}
+                activeOpacity={0.7}
+            >
+                <MaterialIcons name="edit" size={22} color="#ffffff" />
+            </TouchableOpacity>
+            <TouchableOpacity
+                style={styles.rowButton}
+                onPress={() => handleDelete(item)}
+                activeOpacity={0.7}
+            >
+                <MaterialIcons name="delete" size={22} color="#ff6347" />
+            </TouchableOpacity>
+        </TouchableOpacity>
+    );
+
+    return (
+        <View style={styles.fullScreenContainer}>
+            <StatusBar barStyle="light-content" backgroundColor="#121212" />
+            <SafeAreaView style={styles.safeArea}>
+                <View style={styles.header}>
+                    <TouchableOpacity
+                        style={styles.backButton}
+                        onPress={onClose}
+                        activeOpacity={0.7}
+                    >
+                        <MaterialIcons name="arrow-back" size={24} color="#ffffff" />
+                    </TouchableOpacity>
+                    <Text style={styles.title}>Past Conversations</Text>
+                </View>
+
+                <TextInput
+                    style={styles.searchInput}
+                    value={query}
+                    onChangeText={setQuery}
+                    placeholder="Search titles and transcripts"
+                    placeholderTextColor="#888"
+                    returnKeyType="search"
+                    clearButtonMode="while-editing"
+                />
+
+                {isLoading ? (
+                    <ActivityIndicator
+                        size="small"
+                        color="#4CAF50"
+                        style={styles.loader}
+                    />
+                ) : (
+                    <FlatList
+                        data={conversations}
+                        keyExtractor={(item) => item.id}
+                        renderItem={renderItem}
+                        keyboardShouldPersistTaps="handled"
+                        ListEmptyComponent={
+                            <Text style={styles.emptyMessage}>
+                                {query.trim()
+                                    ? "No conversations match your search."
+                                    : "No saved conversations yet."}
+                            </Text>
+                        }
+                    />
+                )}
+            </SafeAreaView>
+
+            {/* Saved transcripts are read-only; the popup only displays them */}
+            <TranscriptPopup
+                visible={openConversation !== null}
+                onClose={() => setOpenConversation(null)}
+                transcripts={
+                    openConversation ? toTranscriptEntries(openConversation) : []
+                }
+                title={
+                    openConversation
+                        ? getConversationTitle(openConversation)
+                        : "Transcript"
+                }
+                bottomOffset={0}
+                onExport={handleExport}
+            />
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    fullScreenContainer: {
+        flex: 1,
+        backgroundColor: "#121212",
+    },
+    safeArea: {
+        flex: 1,
+        paddingHorizontal: 16,
+    },
+    header: {
+        flexDirection: "row",
+        alignItems: "center",
+        marginTop: 40,
+        marginBottom: 16,
+    },
+    backButton: {
+        width: 40,
+        height: 40,
+        borderRadius: 20,
+        justifyContent: "center",
+        alignItems: "center",
+        backgroundColor: "rgba(255,255,255,0.1)",
+        marginRight: 12,
+    },
+    title: {
+        fontSize: 22,
+        fontWeight: "bold",
+        color: "#ffffff",
+    },
+    searchInput: {
+        height: 44,
+        borderRadius: 22,
+        paddingHorizontal: 16,
+        marginBottom: 12,
+        color: "#ffffff",
+        fontSize: 16,
+        backgroundColor: "rgba(255, 255, 255, 0.08)",
+        borderWidth: 1,
+        borderColor: "rgba(255, 255, 255, 0.2)",
+    },
+    loader: {
+        marginTop: 30,
+    },
+    row: {
+        flexDirection: "row",
+        alignItems: "center",
+        paddingVertical: 14,
+        borderBottomWidth: 1,
+        borderBottomColor: "rgba(255,255,255,0.1)",
+    },
+    rowContent: {
+        flex: 1,
+        marginRight: 8,
+    },
+    rowTitle: {
+        fontSize: 17,
+        color: "#ffffff",
+        fontWeight: "600",
+    },
+    renameInput: {
+        fontSize: 17,
+        color: "#ffffff",
+        paddingVertical: 2,
+        borderBottomWidth: 1,
+        borderBottomColor: "#4CAF50",
+    },
+    rowMeta: {
+        marginTop: 4,
+        fontSize: 13,
+        color: "#9e9e9e",
+    },
+    rowButton: {
+        width: 40,
+        height: 40,
+        justifyContent: "center",
+        alignItems: "center",
+    },
+    emptyMessage: {
+        textAlign: "center",
+        color: "#999",
+        marginTop: 30,
+        fontSize: 16,
+        fontStyle: "italic",
+    },
+});
+
+export default SessionsScreen;
@@ -0,0 +1,261 @@
+// screens/SettingsScreen.js
+// Rule VI: Settings Screen - manage the Gemini API key kept in secure storage
+
+import { MaterialIcons } from "@expo/vector-icons";
+import React, { useCallback, useEffect, useState } from "react";
+import {
+    ActivityIndicator,
+    Alert,
+    SafeAreaView,
+    StatusBar,
+    StyleSheet,
+    Text,
+    TextInput,
+    TouchableOpacity,
+    View,
+} from "react-native";
+import { CREDENTIAL_MODE, TOKEN_SERVER_URL } from "../config";
+import { apiKeyStore } from "../services/CredentialProvider";
+import { createLogger } from "../services/Logger";
+
+const log = createLogger("SettingsScreen");
+
+const SettingsScreen = ({ onClose }) => {
+    const [maskedKey, setMaskedKey] = useState(null);
+    const [keyInput, setKeyInput] = useState("");
+    const [isLoading, setIsLoading] = useState(true);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const loadKeyStatus = useCallback(async () => {
+        try {
+            setMaskedKey(await apiKeyStore.getMaskedApiKey());
+        } catch (error) {
+            log.error("Failed to read the saved API key:", error);
+            Alert.alert("Error", "Could not read the saved API key.");
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadKeyStatus();
+    }, [loadKeyStatus]);
+
+    const handleSave = async () => {
+        setIsSaving(true);
+        try {
+            await apiKeyStore.saveApiKey(keyInput);
+            setKeyInput("");
+            await loadKeyStatus();
+        } catch (error) {
+            log.error("Saving the API key failed:", error);
+            Alert.alert("Error", "Could not save the API key.");
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleRemove = () => {
+        Alert.alert(
+            "Remove API Key",
+            "Remove the saved API key from this device? You will need to enter it again to start a conversation.",
+            [
+                { text: "Cancel", style: "cancel" },
+                {
+                    text: "Remove",
+                    style: "destructive",
+                    onPress: async () => {
+                        try {
+                            await apiKeyStore.clearApiKey();
+                            setMaskedKey(null);
+                        } catch (error) {
+                            log.error("Removing the API key failed:", error);
+                            Alert.alert("Error", "Could not remove the API key.");
+                        }
+                    },
+                },
+            ]
+        );
+    };
+
+    const renderApiKeySection = () => {
+        if (isLoading) {
+            return (
+                <ActivityIndicator
+                    size="small"
+                    color="#4CAF50"
+                    style={styles.loader}
+                />
+            );
+        }
+        return (
+            <>
+                <Text style={styles.sectionTitle}>Gemini API Key</Text>
+                <View style={styles.statusRow}>
+                    <Text style={styles.statusText}>
+                        {maskedKey ? `Saved key ${maskedKey}` : "No key saved"}
+                    </Text>
+                    {maskedKey && (
+                        <TouchableOpacity
+                            style={styles.rowButton}
+                            onPress={handleRemove}
+                            activeOpacity={0.7}
+                        >
+                            <MaterialIcons name="delete" size={22} color="#ff6347" />
+                        </TouchableOpacity>
+                    )}
+                </View>
+                <TextInput
+                    style={styles.keyInput}
+                    value={keyInput}
+                    onChangeText={setKeyInput}
+                    placeholder={maskedKey ? "Replace with a new key" : "Paste your API key"}
+                    placeholderTextColor="#888"
+                    secureTextEntry
+                    autoCapitalize="none"
+                    autoCorrect={false}
+                    returnKeyType="done"
+                    onSubmitEditing={handleSave}
+                />
+                <TouchableOpacity
+                    style={[
+                        styles.saveButton,
+                        (!keyInput.trim() || isSaving) && styles.saveButtonDisabled,
+                    ]}
+                    onPress={handleSave}
+                    disabled={!keyInput.trim() || isSaving}
+                    activeOpacity={0.7}
+                >
+                    <Text style={styles.saveButtonText}>Save Key</Text>
+                </TouchableOpacity>
+                <Text style={styles.note}>
+                    The key is stored in the device keychain and only used to
+                    connect to Gemini. It is never included in the app bundle.
+                </Text>
+            </>
+        );
+    };
+
+    return (
+        <View style={styles.fullScreenContainer}>
+            <StatusBar barStyle="light-content" backgroundColor="#121212" />
+            <SafeAreaView style={styles.safeArea}>
+                <View style={styles.header}>
+                    <TouchableOpacity
+                        style={styles.backButton}
+                        onPress={onClose}
+                        activeOpacity={0.7}
+                    >
+                        <MaterialIcons name="arrow-back" size={24} color="#ffffff" />
+                    </TouchableOpacity>
+                    <Text style={styles.title}>Settings</Text>
+                </View>
+
+                {CREDENTIAL_MODE === "ephemeralToken" ? (
+                    <>
+                        <Text style={styles.sectionTitle}>Credentials</Text>
+                        <Text style={styles.note}>
+                            This build gets short-lived tokens from the token
+                            server at {TOKEN_SERVER_URL}. No API key is needed on
+                            this device.
+                        </Text>
+                    </>
+                ) : (
+                    renderApiKeySection()
+                )}
+            </SafeAreaView>
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    fullScreenContainer: {
+        flex: 1,
+        backgroundColor: "#121212",
+    },
+    safeArea: {
+        flex: 1,
+        paddingHorizontal: 16,
+    },
+    header: {
+        flexDirection: "row",
+        alignItems: "center",
+        marginTop: 40,
+        marginBottom: 16,
+    },
+    backButton: {
+        width: 40,
+        height: 40,
+        borderRadius: 20,
+        justifyContent: "center",
+        alignItems: "center",
+        backgroundColor: "rgba(255,255,255,0.1)",
+        marginRight: 12,
+    },
+    title: {
+        fontSize: 22,
+        fontWeight: "bold",
+        color: "#ffffff",
+    },
+    loader: {
+        marginTop: 30,
+    },
+    sectionTitle: {
+        fontSize: 17,
+        color: "#ffffff",
+        fontWeight: "600",
+        marginTop: 8,
+        marginBottom: 8,
+    },
+    statusRow: {
+        flexDirection: "row",
+        alignItems: "center",
+        justifyContent: "space-between",
+        minHeight: 40,
+        marginBottom: 8,
+    },
+    statusText: {
+        fontSize: 15,
+        color: "#9e9e9e",
+    },
+    rowButton: {
+        width: 40,
+        height: 40,
+        justifyContent: "center",
+        alignItems: "center",
+    },
+    keyInput: {
+        height: 44,
+        borderRadius: 22,
+        paddingHorizontal: 16,
+        marginBottom: 12,
+        color: "#ffffff",
+        fontSize: 16,
+        backgroundColor: "rgba(255, 255, 255, 0.08)",
+        borderWidth: 1,
+        borderColor: "rgba(255, 255, 255, 0.2)",
+    },
+    saveButton: {
+        height: 44,
+        borderRadius: 22,
+        justifyContent: "center",
+        alignItems: "center",
+        backgroundColor: "#4CAF50",
+    },
+    saveButtonDisabled: {
+        opacity: 0.4,
+    },
+    saveButtonText: {
+        color: "#ffffff",
+        fontSize: 16,
+        fontWeight: "600",
+    },
+    note: {
+        marginTop: 16,
+        fontSize: 13,
+        lineHeight: 18,
+        color: "#9e9e9e",
+    },
+});
+
+export default SettingsScreen;
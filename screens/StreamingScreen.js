@@ -2,48 +2,149 @@
 // Rule VI: Main UI Screen
 
 import { MaterialIcons } from "@expo/vector-icons";
-import React, {
-    useCallback,
-    useEffect,
-    useMemo,
-    useRef,
-    useState,
-} from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import {
     ActivityIndicator,
     Alert,
+    KeyboardAvoidingView,
+    Platform,
+    Pressable,
     SafeAreaView,
     StatusBar,
     StyleSheet,
     Text,
+    TextInput,
     TouchableOpacity,
     View,
 } from "react-native";
+import MetricsOverlay from "../components/MetricsOverlay";
 import TranscriptPopup from "../components/TranscriptPopup";
-import AudioInputService from "../services/AudioInputService";
+import useGeminiLive from "../hooks/useGeminiLive";
+import {
+    REPLAY_CASSETTE_URI,
+    REPLAY_SPEED,
+    TRAFFIC_CAPTURE_ENABLED,
+} from "../config";
 import AudioOutputService from "../services/AudioOutputService";
+import { defaultSession } from "../services/GeminiLiveSession";
+import ConversationStore, {
+    getConversationTitle,
+} from "../services/ConversationStore";
 import PermissionsService from "../services/PermissionsService";
+import { loadCassette } from "../services/ReplayTransport";
+import SessionRecorder from "../services/SessionRecorder";
+import { shareTranscript } from "../services/TranscriptExporter";
 import WebSocketService from "../services/WebSocketService";
+import { createLogger } from "../services/Logger";
+
+const log = createLogger("StreamingScreen");
+
+// What the model is doing with the microphone stream, from the session's inputState event
+const INPUT_STATE_LABELS = {
+    waitingForUser: "The model is waiting for you",
+    endOfSpeech: "The model heard the end of your speech",
+    muted: "Muted - the model knows you paused",
+};
+
+// Alert titles for the kinds of errors useGeminiLive reports
+const ERROR_TITLES = {
+    permission: "Permission Required",
+    audio: "Audio Error",
+    session: "Error",
+    budget: "Cost Limit",
+};
 
-const StreamingScreen = () => {
-    const [isConnected, setIsConnected] = useState(false);
-    const [isRecording, setIsRecording] = useState(false);
-    const [isMuted, setIsMuted] = useState(false);
+const StreamingScreen = ({ onOpenSessions, onOpenSettings }) => {
     const [isSpeakerOn, setIsSpeakerOn] = useState(true); // Speaker mode state
     const [isTranscriptVisible, setIsTranscriptVisible] = useState(false);
-    const [transcriptHistory, setTranscriptHistory] = useState([]);
-    const [statusMessage, setStatusMessage] = useState("Disconnected");
-    const [serverSpeaking, setServerSpeaking] = useState(false);
-    const [permissionGranted, setPermissionGranted] = useState(false);
-    const [isLoading, setIsLoading] = useState(false);
-    const [transcript, setTranscript] = useState("");
-    const [isFinalTranscript, setIsFinalTranscript] = useState(false);
-    // Track current turn IDs to group messages
-    const [currentUserTurnId, setCurrentUserTurnId] = useState(null);
-    const [currentModelTurnId, setCurrentModelTurnId] = useState(null);
-    // Use refs to access latest turn IDs in callbacks
-    const currentUserTurnIdRef = useRef(null);
-    const currentModelTurnIdRef = useRef(null);
+    // Latency debug overlay, toggled by long-pressing the title
+    const [isMetricsVisible, setIsMetricsVisible] = useState(false);
+    // Text chat: the composer draft, and whether the next session is text-only (no mic, TEXT responses)
+    const [draftText, setDraftText] = useState("");
+    const [isTextOnly, setIsTextOnly] = useState(false);
+    // Opt-in audio recording; only ever true after the consent prompt was accepted
+    const [isRecordingConsented, setIsRecordingConsented] = useState(false);
+    // Id of the conversation being saved to ConversationStore, null when none is running
+    const conversationIdRef = useRef(null);
+    // Last started conversation, still exportable after Stop
+    const lastConversationIdRef = useRef(null);
+    // SessionRecorder of the running conversation, if recording is on
+    const recorderRef = useRef(null);
+
+    const startConversationRecord = () => {
+        conversationIdRef.current = ConversationStore.startConversation({
+            sessionOptions: WebSocketService.getSessionOptions(),
+        });
+        lastConversationIdRef.current = conversationIdRef.current;
+
+        if (TRAFFIC_CAPTURE_ENABLED && !REPLAY_CASSETTE_URI) {
+            WebSocketService.startTrafficCapture();
+        }
+
+        if (isRecordingConsented && !isTextOnly) {
+            recorderRef.current = new SessionRecorder({
+                session: defaultSession,
+                onLimitReached: () =>
+                    setStatusMessage("Recording limit reached - no longer recording."),
+            });
+            recorderRef.current.start({ consent: true });
+        }
+    };
+
+    const finishConversationRecord = () => {
+        const conversationId = conversationIdRef.current;
+        if (!conversationId) {
+            return;
+        }
+        conversationIdRef.current = null;
+        // Taken now: the session's usage starts over with the next conversation
+        ConversationStore.attachUsage(conversationId, WebSocketService.getUsage()).catch(
+            (error) => log.error("Failed to save usage:", error)
+        );
+        WebSocketService.stopTrafficCapture().catch((error) =>
+            log.error("Failed to save traffic capture:", error)
+        );
+        const recorder = recorderRef.current;
+        recorderRef.current = null;
+
+        // Link the recording before the conversation is written for the last time
+        const savedRecording = recorder
+            ? recorder.stop({ conversationId })
+            : Promise.resolve(null);
+        savedRecording
+            .then(async (recording) => {
+                if (recording) {
+                    await ConversationStore.attachRecording(conversationId, recording);
+                }
+            })
+            .catch((error) => log.error("Failed to save recording:", error))
+            .then(() => ConversationStore.finishConversation(conversationId))
+            .catch((error) => log.error("Failed to save conversation:", error));
+    };
+
+    const {
+        isConnected,
+        statusMessage,
+        setStatusMessage,
+        isLoading,
+        isRecording,
+        isMuted,
+        serverSpeaking,
+        transcripts,
+        isPushToTalk,
+        isTalking,
+        inputState,
+        start,
+        stop,
+        sendText,
+        setMuted,
+        startTalking,
+        stopTalking,
+    } = useGeminiLive({
+        onSessionStart: startConversationRecord,
+        onSessionEnd: finishConversationRecord,
+        onError: (message, kind) => Alert.alert(ERROR_TITLES[kind], message),
+    });
 
     // Create background dots only once when component mounts
     const backgroundDots = useMemo(() => {
@@ -101,316 +202,47 @@ const StreamingScreen = () => {
         return dots;
     }, []);
 
-    // --- WebSocket Callbacks --- START ---
-    const handleWebSocketMessage = useCallback((audioData) => {
-        setServerSpeaking(true); // Assume server starts speaking on first chunk
-        AudioOutputService.playAudioChunk(audioData);
-    }, []);
-
-    // Update refs when state changes
-    useEffect(() => {
-        currentUserTurnIdRef.current = currentUserTurnId;
-    }, [currentUserTurnId]);
-
-    useEffect(() => {
-        currentModelTurnIdRef.current = currentModelTurnId;
-    }, [currentModelTurnId]);
-
-    // Transcript callback
+    // Ask for the microphone up front rather than on the first Start
     useEffect(() => {
-        console.log("StreamingScreen: Setting up transcript callback");
-        WebSocketService.setOnTranscriptCallback(({ text, isFinal, type }) => {
-            console.log(
-                "StreamingScreen: Received transcript:",
-                text,
-                "isFinal:",
-                isFinal,
-                "type:",
-                type
-            );
-            setTranscript(text);
-            setIsFinalTranscript(isFinal);
-
-            // Add or update bubble in transcript history
-            if (text && text.trim()) {
-                setTranscriptHistory((prev) => {
-                    // For user messages
-                    if (type === "user") {
-                        // Get current ID from ref to avoid closure issues
-                        const currentId = currentUserTurnIdRef.current;
-
-                        // If we don't have a current user turn or the last turn was final, create a new one
-                        if (
-                            currentId === null ||
-                            (prev.length > 0 &&
-                                prev.find((msg) => msg.id === currentId)
-                                    ?.isFinal)
-                        ) {
-                            const newId = Date.now();
-                            // Update both state and ref
-                            setCurrentUserTurnId(newId);
-                            currentUserTurnIdRef.current = newId;
-
-                            const entry = { text, isFinal, type, id: newId };
-                            console.log(
-                                "Adding new user transcript entry:",
-                                entry
-                            );
-                            return [...prev, entry];
-                        }
-
-                        // Otherwise update the current user turn by APPENDING text, not replacing
-                        console.log(
-                            "Updating existing user transcript:",
-                            currentId
-                        );
-                        return prev.map((msg) => {
-                            if (msg.id === currentId) {
-                                // Append new text to existing text instead of replacing
-                                return {
-                                    ...msg,
-                                    text: msg.text + text,
-                                    isFinal,
-                                };
-                            }
-                            return msg;
-                        });
-                    }
-
-                    // For model messages
-                    if (type === "model") {
-                        // Get current ID from ref to avoid closure issues
-                        const currentId = currentModelTurnIdRef.current;
-
-                        // If we don't have a current model turn or the last turn was final, create a new one
-                        if (
-                            currentId === null ||
-                            (prev.length > 0 &&
-                                prev.find((msg) => msg.id === currentId)
-                                    ?.isFinal)
-                        ) {
-                            const newId = Date.now();
-                            // Update both state and ref
-                            setCurrentModelTurnId(newId);
-                            currentModelTurnIdRef.current = newId;
-
-                            const entry = { text, isFinal, type, id: newId };
-                            console.log(
-                                "Adding new model transcript entry:",
-                                entry
-                            );
-                            return [...prev, entry];
-                        }
-
-                        // Otherwise update the current model turn by APPENDING text, not replacing
-                        console.log(
-                            "Updating existing model transcript:",
-                            currentId
-                        );
-                        return prev.map((msg) => {
-                            if (msg.id === currentId) {
-                                // Append new text to existing text instead of replacing
-                                return {
-                                    ...msg,
-                                    text: msg.text + text,
-                                    isFinal,
-                                };
-                            }
-                            return msg;
-                        });
-                    }
-
-                    // Fallback (shouldn't happen)
-                    const entry = { text, isFinal, type, id: Date.now() };
-                    console.log("Adding fallback transcript entry:", entry);
-                    return [...prev, entry];
-                });
+        PermissionsService.requestMicrophonePermission().then((granted) => {
+            if (!granted) {
+                setStatusMessage("Microphone permission required for conversation.");
             }
         });
-        // Optional: cleanup
-        return () => {
-            console.log("StreamingScreen: Cleaning up transcript callback");
-            WebSocketService.setOnTranscriptCallback(null);
-        };
-    }, []);
-
-    const handleStatusUpdate = useCallback((status) => {
-        console.log("UI: WebSocket status update:", status);
-        setIsLoading(false);
-
-        switch (status) {
-            case "connected":
-                setIsConnected(true);
-                setStatusMessage("Connected. Ready to record.");
-                break;
-            case "disconnected":
-                setIsConnected(false);
-                setIsRecording(false); // Cannot record if not connected
-                setStatusMessage("Disconnected");
-                setServerSpeaking(false);
-                AudioInputService.stopRecording(); // Ensure recording stops
-                AudioOutputService.clearPlaybackQueue(); // Clear any remaining audio
-                break;
-            case "error":
-                setIsConnected(false);
-                setIsRecording(false);
-                setStatusMessage("Connection Error. Please try again.");
-                setServerSpeaking(false);
-                AudioInputService.stopRecording();
-                AudioOutputService.clearPlaybackQueue();
-                Alert.alert(
-                    "Connection Error",
-                    "Failed to connect to the audio service. Please try again."
-                );
-                break;
-            default:
-                setStatusMessage(`Status: ${status}`);
-                break;
-        }
-    }, []);
-
-    const handleError = useCallback((errorMsg) => {
-        console.error("UI: WebSocket error:", errorMsg);
-        setStatusMessage(`Error: ${errorMsg}`);
-        setIsConnected(false);
-        setIsRecording(false);
-        setServerSpeaking(false);
-        setIsLoading(false);
-        AudioInputService.stopRecording();
-        AudioOutputService.clearPlaybackQueue();
-        Alert.alert("Error", errorMsg || "An unknown error occurred");
-    }, []);
-
-    const handleInterruption = useCallback(() => {
-        console.log("UI: Received interruption signal.");
-        setStatusMessage("Server interrupted.");
-        setServerSpeaking(false);
-        AudioOutputService.clearPlaybackQueue();
-    }, []);
-
-    const handleTurnComplete = useCallback(() => {
-        console.log("UI: Received turn complete signal.");
-        setStatusMessage("Server turn complete.");
-        setServerSpeaking(false);
-
-        // Mark current model turn as final when turn is complete
-        if (currentModelTurnIdRef.current) {
-            setTranscriptHistory((prev) => {
-                return prev.map((msg) => {
-                    if (msg.id === currentModelTurnIdRef.current) {
-                        return { ...msg, isFinal: true };
-                    }
-                    return msg;
-                });
-            });
-        }
-    }, []);
-    // --- WebSocket Callbacks --- END ---
+    }, [setStatusMessage]);
 
-    // --- Effect Hook for Setup/Cleanup --- START ---
-    // Effect to automatically start recording when connected
+    // Save the transcript as it grows; the store debounces the writes
     useEffect(() => {
-        console.log("StreamingScreen: Connection state changed:", isConnected);
-        if (isConnected) {
-            startRecordingIfConnected();
-        } else {
-            if (isRecording) {
-                AudioInputService.stopRecording();
-                setIsRecording(false);
-            }
-        }
-    }, [isConnected]);
-
-    const startRecordingIfConnected = async () => {
-        if (isConnected) {
-            // Request permissions and start recording when connection is established
-            const hasPermission = await requestPermission();
-
-            if (hasPermission) {
-                setStatusMessage("Starting audio capture...");
-                setIsLoading(true);
-
-                const success = await AudioInputService.startRecording();
-                setIsRecording(success);
-                setIsLoading(false);
-
-                if (success) {
-                    setStatusMessage("Conversation active. Speak now!");
-                } else {
-                    setStatusMessage("Connected, but audio capture failed.");
-                    Alert.alert(
-                        "Audio Error",
-                        "Failed to start audio capture. Please try again."
-                    );
-                }
-            } else {
-                setStatusMessage(
-                    "Connected, but microphone permission denied."
-                );
-                Alert.alert(
-                    "Permission Denied",
-                    "Microphone permission is required for this app to work."
-                );
-            }
+        if (conversationIdRef.current) {
+            ConversationStore.updateTurns(conversationIdRef.current, transcripts);
         }
-    };
-
-    useEffect(() => {
-        // Set callbacks for WebSocketService
-        WebSocketService.setOnMessageCallback(handleWebSocketMessage);
-        WebSocketService.setOnStatusUpdateCallback(handleStatusUpdate);
-        WebSocketService.setOnErrorCallback(handleError);
-        WebSocketService.setOnInterruptionCallback(handleInterruption);
-        WebSocketService.setOnTurnCompleteCallback(handleTurnComplete);
-
-        // Check for microphone permission on startup
-        requestPermission();
-
-        // Cleanup function when component unmounts
-        return () => {
-            console.log("UI: Cleaning up StreamingScreen...");
-            WebSocketService.disconnect(); // Disconnect WebSocket
-            AudioInputService.stopRecording(); // Stop recording if active
-            AudioOutputService.clearPlaybackQueue(); // Clear audio queue
-            // Clear callbacks to prevent memory leaks
-            WebSocketService.setOnMessageCallback(null);
-            WebSocketService.setOnStatusUpdateCallback(null);
-            WebSocketService.setOnErrorCallback(null);
-            WebSocketService.setOnInterruptionCallback(null);
-            WebSocketService.setOnTurnCompleteCallback(null);
-        };
-        // Run only once on mount
-    }, [
-        handleWebSocketMessage,
-        handleStatusUpdate,
-        handleError,
-        handleInterruption,
-        handleTurnComplete,
-    ]);
-    // --- Effect Hook for Setup/Cleanup --- END ---
+    }, [transcripts]);
 
     // --- Button Handlers --- START ---
-    const requestPermission = async () => {
-        const granted = await PermissionsService.requestMicrophonePermission();
-        setPermissionGranted(granted);
-        if (!granted) {
-            setStatusMessage(
-                "Microphone permission required for conversation."
-            );
+
+    // Recording needs everyone's consent; ask every time it is switched on
+    const handleRecordingToggle = () => {
+        if (isRecordingConsented) {
+            setIsRecordingConsented(false);
+            return;
         }
-        return granted;
+        Alert.alert(
+            "Record Conversations?",
+            "The audio of your conversations, your voice and the assistant's, will be saved on this device. Only turn this on if everyone who will speak agrees to be recorded.",
+            [
+                { text: "Cancel", style: "cancel" },
+                {
+                    text: "Everyone Agrees",
+                    onPress: () => setIsRecordingConsented(true),
+                },
+            ]
+        );
     };
 
-    // Mute/Unmute handlers
-    const handleMuteToggle = () => {
-        if (isMuted) {
-            // Unmute
-            setIsMuted(false);
-            AudioInputService.setMuted(false);
-        } else {
-            // Mute
-            setIsMuted(true);
-            AudioInputService.setMuted(true);
+    // Text composer: sends a typed turn; works during a voice session too
+    const handleSendText = () => {
+        if (sendText(draftText)) {
+            setDraftText("");
         }
     };
 
@@ -421,61 +253,57 @@ const StreamingScreen = () => {
         AudioOutputService.toggleSpeakerMode(newSpeakerState);
     };
 
-    // Toggle transcript visibility - no sample messages
+    // Share the current (or just ended) conversation from the transcript popup
+    const handleExportTranscript = async (format) => {
+        try {
+            const conversation = lastConversationIdRef.current
+                ? await ConversationStore.getConversation(
+                      lastConversationIdRef.current
+                  )
+                : null;
+            if (!conversation || conversation.turns.length === 0) {
+                Alert.alert("Nothing to Export", "This conversation has no turns yet.");
+                return;
+            }
+            await shareTranscript(
+                { ...conversation, title: getConversationTitle(conversation) },
+                format
+            );
+        } catch (error) {
+            log.error("Export failed:", error);
+            Alert.alert("Error", "Could not export the transcript.");
+        }
+    };
+
     const handleTranscriptToggle = () => {
-        // Simply toggle visibility
         setIsTranscriptVisible((prev) => !prev);
-        console.log("Transcript visibility toggled:", !isTranscriptVisible);
     };
 
     // Single function to handle toggling conversation state
     const toggleConversation = async () => {
-        if (!isConnected) {
-            // Start conversation flow
-            setStatusMessage("Starting conversation...");
-            setIsLoading(true);
-
-            // 1. Check permission first
-            const hasPermission = await requestPermission();
-            if (!hasPermission) {
-                setIsLoading(false);
-                Alert.alert(
-                    "Permission Required",
-                    "Microphone permission is needed to use this app."
-                );
-                return;
-            }
-
-            // 2. Connect to WebSocket
-            WebSocketService.connect();
-
-            // The useEffect with the isConnected dependency will handle starting recording
-        } else {
-            // End conversation flow
-            setStatusMessage("Ending conversation...");
-            setIsLoading(true);
+        if (isConnected) {
+            await stop();
+            return;
+        }
 
-            // 1. Stop recording if active
-            if (isRecording) {
-                await AudioInputService.stopRecording();
-                setIsRecording(false);
-            }
-            setIsMuted(false); // Reset mute state on stop
-
-            // 2. Stop WebRTC audio processing
-            const WebRTCAudioService =
-                require("../services/WebRTCAudioService").default;
-            if (WebRTCAudioService.isProcessingActive()) {
-                await WebRTCAudioService.stopAudioProcessing();
-                console.log("StreamingScreen: WebRTC audio processing stopped");
+        // Debug builds can play a captured cassette back instead of talking to the server
+        if (REPLAY_CASSETTE_URI) {
+            try {
+                const cassette = await loadCassette(REPLAY_CASSETTE_URI);
+                WebSocketService.replayCassette(cassette, { speed: REPLAY_SPEED });
+            } catch (error) {
+                log.error("Failed to load cassette:", error);
+                Alert.alert("Replay Failed", error.message);
+                return;
             }
+        }
 
-            // 3. Disconnect WebSocket
-            WebSocketService.disconnect();
-            // This will trigger the status update callback which handles cleanup
-
-            setServerSpeaking(false);
-            setIsLoading(false);
+        // Text-only: no microphone, the model answers in text parts shown in the transcript
+        const started = await start(
+            isTextOnly ? { responseModalities: ["TEXT"] } : {}
+        );
+        if (started && isTextOnly) {
+            setIsTranscriptVisible(true);
         }
     };
     // --- Button Handlers --- END ---
@@ -488,142 +316,294 @@ const StreamingScreen = () => {
                 {/* Create subtle texture pattern with multiple semi-transparent dots */}
                 {backgroundDots}
             </View>
-            <SafeAreaView style={styles.safeArea}>
-                <View style={styles.container}>
-                    <Text style={styles.title}>Live Audio Streaming</Text>
-
-                    {/* Log transcript state but don't display on main screen */}
-                    {console.log(
-                        "StreamingScreen render - transcript state:",
-                        transcript
-                            ? transcript.substring(0, 20) + "..."
-                            : "empty"
-                    )}
-
-                    <View style={styles.statusContainer}>
-                        <Text style={styles.statusText}>
-                            Status: {statusMessage}
+            <KeyboardAvoidingView
+                style={styles.keyboardAvoider}
+                behavior={Platform.OS === "ios" ? "padding" : undefined}
+            >
+                <SafeAreaView style={styles.safeArea}>
+                    <View style={styles.container}>
+                        <Text
+                            style={styles.title}
+                            onLongPress={() => setIsMetricsVisible((prev) => !prev)}
+                        >
+                            Live Audio Streaming
                         </Text>
-                        {serverSpeaking && (
-                            <Text style={styles.speakingText}>
-                                Server Speaking...
+
+                        <View style={styles.statusContainer}>
+                            <Text style={styles.statusText}>
+                                Status: {statusMessage}
                             </Text>
+                            {isConnected && INPUT_STATE_LABELS[inputState] && (
+                                <Text style={styles.inputStateText}>
+                                    {INPUT_STATE_LABELS[inputState]}
+                                </Text>
+                            )}
+                            {isConnected && recorderRef.current?.isRecording() && (
+                                <Text style={styles.recordingText}>
+                                    ● Recording
+                                </Text>
+                            )}
+                            {serverSpeaking && (
+                                <Text style={styles.speakingText}>
+                                    Server Speaking...
+                                </Text>
+                            )}
+                            {isLoading && (
+                                <ActivityIndicator
+                                    size="small"
+                                    color="#4CAF50"
+                                    style={styles.loader}
+                                />
+                            )}
+                        </View>
+
+                        {!isConnected && onOpenSessions && (
+                            <TouchableOpacity
+                                style={[styles.modeToggle, styles.historyButton]}
+                                onPress={onOpenSessions}
+                                disabled={isLoading}
+                                activeOpacity={0.7}
+                            >
+                                <MaterialIcons
+                                    name="history"
+                                    size={20}
+                                    color="#ffffff"
+                                />
+                                <Text style={styles.modeToggleText}>
+                                    Past conversations
+                                </Text>
+                            </TouchableOpacity>
                         )}
-                        {isLoading && (
-                            <ActivityIndicator
-                                size="small"
-                                color="#4CAF50"
-                                style={styles.loader}
-                            />
+
+                        {!isConnected && onOpenSettings && (
+                            <TouchableOpacity
+                                style={[styles.modeToggle, styles.historyButton]}
+                                onPress={onOpenSettings}
+                                disabled={isLoading}
+                                activeOpacity={0.7}
+                            >
+                                <MaterialIcons
+                                    name="settings"
+                                    size={20}
+                                    color="#ffffff"
+                                />
+                                <Text style={styles.modeToggleText}>Settings</Text>
+                            </TouchableOpacity>
+                        )}
+
+                        {!isConnected && (
+                            <TouchableOpacity
+                                style={styles.modeToggle}
+                                onPress={() => setIsTextOnly((prev) => !prev)}
+                                disabled={isLoading}
+                                activeOpacity={0.7}
+                            >
+                                <MaterialIcons
+                                    name={isTextOnly ? "keyboard" : "mic"}
+                                    size={20}
+                                    color="#ffffff"
+                                />
+                                <Text style={styles.modeToggleText}>
+                                    {isTextOnly ? "Text only" : "Voice"}
+                                </Text>
+                            </TouchableOpacity>
                         )}
-                    </View>
 
-                    <View style={styles.buttonContainer}>
-                        <View style={styles.buttonRow}>
-                            {/* Main Start/Stop button centered */}
-                            <View style={styles.mainButtonContainer}>
-                                <TouchableOpacity
+                        {!isConnected && !isTextOnly && (
+                            <TouchableOpacity
+                                style={[styles.modeToggle, styles.recordToggle]}
+                                onPress={handleRecordingToggle}
+                                disabled={isLoading}
+                                activeOpacity={0.7}
+                            >
+                                <MaterialIcons
+                                    name={
+                                        isRecordingConsented
+                                            ? "fiber-manual-record"
+                                            : "radio-button-unchecked"
+                                    }
+                                    size={20}
+                                    color={isRecordingConsented ? "#ff6347" : "#ffffff"}
+                                />
+                                <Text style={styles.modeToggleText}>
+                                    {isRecordingConsented
+                                        ? "Record audio: on"
+                                        : "Record audio: off"}
+                                </Text>
+                            </TouchableOpacity>
+                        )}
+
+                        {isConnected && isPushToTalk && isRecording && (
+                            <Pressable
+                                style={[
+                                    styles.talkButton,
+                                    isTalking && styles.talkButtonActive,
+                                ]}
+                                onPressIn={startTalking}
+                                onPressOut={stopTalking}
+                                disabled={isLoading || isMuted}
+                            >
+                                <MaterialIcons
+                                    name="mic"
+                                    size={40}
+                                    color={isTalking ? "#121212" : "#ffffff"}
+                                />
+                                <Text
                                     style={[
-                                        styles.circleButton,
-                                        {
-                                            backgroundColor: !isConnected
-                                                ? "rgba(255, 255, 255, 0.9)"
-                                                : "rgba(255, 99, 71, 0.9)",
-                                        },
+                                        styles.talkButtonText,
+                                        isTalking && styles.talkButtonTextActive,
                                     ]}
-                                    onPress={toggleConversation}
-                                    disabled={isLoading}
-                                    activeOpacity={0.7}
                                 >
-                                    <View style={styles.buttonGlow} />
-                                    <Text
-                                        style={[
-                                            styles.buttonText,
-                                            {
-                                                color: !isConnected
-                                                    ? "#000000"
-                                                    : "#ffffff",
-                                            },
-                                        ]}
-                                    >
-                                        {!isConnected ? "Start" : "Stop"}
-                                    </Text>
-                                </TouchableOpacity>
-                            </View>
-
-                            {/* Secondary buttons */}
-                            {isConnected && (
-                                <>
-                                    {/* Speaker button on the left */}
-                                    <TouchableOpacity
-                                        style={[
-                                            styles.secondaryButton,
-                                            styles.speakerButton,
-                                        ]}
-                                        onPress={handleSpeakerToggle}
-                                        disabled={isLoading}
-                                        activeOpacity={0.7}
-                                    >
-                                        <MaterialIcons
-                                            name={
-                                                isSpeakerOn
-                                                    ? "volume-up"
-                                                    : "volume-down"
-                                            }
-                                            size={32}
-                                            color={"#ffffff"}
-                                        />
-                                    </TouchableOpacity>
-
-                                    {/* Mute button on the left */}
-                                    <TouchableOpacity
-                                        style={[
-                                            styles.secondaryButton,
-                                            styles.muteButton,
-                                        ]}
-                                        onPress={handleMuteToggle}
-                                        disabled={isLoading}
-                                        activeOpacity={0.7}
-                                    >
-                                        <MaterialIcons
-                                            name={isMuted ? "mic-off" : "mic"}
-                                            size={32}
-                                            color={isMuted ? "#888" : "#ffffff"}
-                                        />
-                                    </TouchableOpacity>
+                                    {isTalking ? "Release to send" : "Hold to talk"}
+                                </Text>
+                            </Pressable>
+                        )}
 
-                                    {/* Transcript button on the far right */}
+                        <View style={styles.buttonContainer}>
+                            <View style={styles.buttonRow}>
+                                {/* Main Start/Stop button centered */}
+                                <View style={styles.mainButtonContainer}>
                                     <TouchableOpacity
                                         style={[
-                                            styles.secondaryButton,
-                                            styles.transcriptButton,
+                                            styles.circleButton,
+                                            {
+                                                backgroundColor: !isConnected
+                                                    ? "rgba(255, 255, 255, 0.9)"
+                                                    : "rgba(255, 99, 71, 0.9)",
+                                            },
                                         ]}
-                                        onPress={handleTranscriptToggle}
+                                        onPress={toggleConversation}
                                         disabled={isLoading}
                                         activeOpacity={0.7}
                                     >
-                                        <MaterialIcons
-                                            name={"chat"}
-                                            size={28}
-                                            color={
-                                                isTranscriptVisible
-                                                    ? "#4CAF50"
-                                                    : "#ffffff"
-                                            }
-                                        />
+                                        <View style={styles.buttonGlow} />
+                                        <Text
+                                            style={[
+                                                styles.buttonText,
+                                                {
+                                                    color: !isConnected
+                                                        ? "#000000"
+                                                        : "#ffffff",
+                                                },
+                                            ]}
+                                        >
+                                            {!isConnected ? "Start" : "Stop"}
+                                        </Text>
                                     </TouchableOpacity>
-                                </>
-                            )}
+                                </View>
+
+                                {/* Secondary buttons; text-only sessions have no audio controls */}
+                                {isConnected && (
+                                    <>
+                                        {!isTextOnly && (
+                                            <>
+                                                {/* Speaker button on the left */}
+                                                <TouchableOpacity
+                                                    style={[
+                                                        styles.secondaryButton,
+                                                        styles.speakerButton,
+                                                    ]}
+                                                    onPress={handleSpeakerToggle}
+                                                    disabled={isLoading}
+                                                    activeOpacity={0.7}
+                                                >
+                                                    <MaterialIcons
+                                                        name={
+                                                            isSpeakerOn
+                                                                ? "volume-up"
+                                                                : "volume-down"
+                                                        }
+                                                        size={32}
+                                                        color={"#ffffff"}
+                                                    />
+                                                </TouchableOpacity>
+
+                                                {/* Mute button on the left */}
+                                                <TouchableOpacity
+                                                    style={[
+                                                        styles.secondaryButton,
+                                                        styles.muteButton,
+                                                    ]}
+                                                    onPress={() => setMuted(!isMuted)}
+                                                    disabled={isLoading}
+                                                    activeOpacity={0.7}
+                                                >
+                                                    <MaterialIcons
+                                                        name={isMuted ? "mic-off" : "mic"}
+                                                        size={32}
+                                                        color={isMuted ? "#888" : "#ffffff"}
+                                                    />
+                                                </TouchableOpacity>
+                                            </>
+                                        )}
+
+                                        {/* Transcript button on the far right */}
+                                        <TouchableOpacity
+                                            style={[
+                                                styles.secondaryButton,
+                                                styles.transcriptButton,
+                                            ]}
+                                            onPress={handleTranscriptToggle}
+                                            disabled={isLoading}
+                                            activeOpacity={0.7}
+                                        >
+                                            <MaterialIcons
+                                                name={"chat"}
+                                                size={28}
+                                                color={
+                                                    isTranscriptVisible
+                                                        ? "#4CAF50"
+                                                        : "#ffffff"
+                                                }
+                                            />
+                                        </TouchableOpacity>
+                                    </>
+                                )}
+                            </View>
                         </View>
                     </View>
-                </View>
-                {/* Transcript popup using the separate component, now overlays the whole main content */}
-                <TranscriptPopup
-                    visible={isTranscriptVisible}
-                    onClose={() => setIsTranscriptVisible(false)}
-                    transcripts={transcriptHistory}
-                />
-            </SafeAreaView>
+                    {/* Text composer, kept above the transcript popup so both can be used together */}
+                    {isConnected && (
+                        <View style={styles.composer}>
+                            <TextInput
+                                style={styles.composerInput}
+                                value={draftText}
+                                onChangeText={setDraftText}
+                                placeholder="Type a message"
+                                placeholderTextColor="#888"
+                                returnKeyType="send"
+                                onSubmitEditing={handleSendText}
+                                editable={!isLoading}
+                            />
+                            <TouchableOpacity
+                                style={styles.composerSendButton}
+                                onPress={handleSendText}
+                                disabled={isLoading || !draftText.trim()}
+                                activeOpacity={0.7}
+                            >
+                                <MaterialIcons
+                                    name="send"
+                                    size={22}
+                                    color={draftText.trim() ? "#4CAF50" : "#888"}
+                                />
+                            </TouchableOpacity>
+                        </View>
+                    )}
+                    {/* Transcript popup using the separate component, now overlays the whole main content */}
+                    <TranscriptPopup
+                        visible={isTranscriptVisible}
+                        onClose={() => setIsTranscriptVisible(false)}
+                        transcripts={transcripts}
+                        bottomOffset={isConnected ? 210 : 150}
+                        onExport={handleExportTranscript}
+                    />
+                    <MetricsOverlay
+                        visible={isMetricsVisible}
+                        onClose={() => setIsMetricsVisible(false)}
+                        session={defaultSession}
+                    />
+                </SafeAreaView>
+            </KeyboardAvoidingView>
         </View>
     );
 };
@@ -728,6 +708,18 @@ const styles = StyleSheet.create({
         color: "#e0e0e0",
         textAlign: "center",
     },
+    inputStateText: {
+        fontSize: 14,
+        marginBottom: 10,
+        color: "#9e9e9e",
+        textAlign: "center",
+    },
+    recordingText: {
+        fontSize: 14,
+        marginBottom: 10,
+        color: "#ff6347",
+        fontWeight: "600",
+    },
     speakingText: {
         fontSize: 16,
         color: "#4CAF50",
@@ -773,6 +765,80 @@ const styles = StyleSheet.create({
     loader: {
         marginTop: 10,
     },
+    talkButton: {
+        width: 160,
+        height: 160,
+        borderRadius: 80,
+        justifyContent: "center",
+        alignItems: "center",
+        backgroundColor: "rgba(255, 255, 255, 0.08)",
+        borderWidth: 2,
+        borderColor: "rgba(255, 255, 255, 0.3)",
+    },
+    talkButtonActive: {
+        backgroundColor: "rgba(76, 175, 80, 0.9)",
+        borderColor: "#4CAF50",
+    },
+    talkButtonText: {
+        marginTop: 8,
+        fontSize: 14,
+        color: "#ffffff",
+        fontWeight: "600",
+    },
+    talkButtonTextActive: {
+        color: "#121212",
+    },
+    keyboardAvoider: {
+        flex: 1,
+    },
+    modeToggle: {
+        flexDirection: "row",
+        alignItems: "center",
+        paddingVertical: 8,
+        paddingHorizontal: 16,
+        borderRadius: 20,
+        backgroundColor: "rgba(255, 255, 255, 0.08)",
+        borderWidth: 1,
+        borderColor: "rgba(255, 255, 255, 0.2)",
+    },
+    modeToggleText: {
+        marginLeft: 8,
+        fontSize: 14,
+        color: "#ffffff",
+        fontWeight: "600",
+    },
+    historyButton: {
+        marginBottom: 12,
+    },
+    recordToggle: {
+        marginTop: 12,
+    },
+    composer: {
+        position: "absolute",
+        left: 16,
+        right: 16,
+        bottom: 150,
+        height: 48,
+        flexDirection: "row",
+        alignItems: "center",
+        borderRadius: 24,
+        paddingLeft: 16,
+        backgroundColor: "rgba(255, 255, 255, 0.08)",
+        borderWidth: 1,
+        borderColor: "rgba(255, 255, 255, 0.2)",
+        zIndex: 10000,
+    },
+    composerInput: {
+        flex: 1,
+        color: "#ffffff",
+        fontSize: 16,
+    },
+    composerSendButton: {
+        width: 48,
+        height: 48,
+        justifyContent: "center",
+        alignItems: "center",
+    },
     // All transcript content styles have been moved to TranscriptPopup component
 });
 
@@ -0,0 +1,682 @@
+// services/AudioInputPipeline.js
+// Rule III: Audio Input Pipeline - per-session microphone capture
+
+import { AUDIO_SAMPLE_RATE, AEC_ENABLED, CAPTURE_SAMPLE_RATES, PRE_ROLL_BUFFER_MS } from '../config';
+import PermissionsService from './PermissionsService';
+import { VoiceProcessor } from '@picovoice/react-native-voice-processor';
+import InCallManager from 'react-native-incall-manager';
+import { Platform } from 'react-native';
+import WebRTCAudioService from './WebRTCAudioService';
+import VoiceActivityDetector from './VoiceActivityDetector';
+import PreRollBuffer from './PreRollBuffer';
+import StreamingResampler, { int16ToFloat32, float32ToInt16 } from './Resampler';
+import { createLogger } from './Logger';
+
+const log = createLogger('AudioInputPipeline');
+const frameLog = log.throttle('frame', 5000); // For messages that would otherwise repeat on every microphone frame
+
+const FRAME_LENGTH = 512; // Number of samples per frame at AUDIO_SAMPLE_RATE; scaled for other capture rates
+const FRAME_DURATION_MS = (FRAME_LENGTH / AUDIO_SAMPLE_RATE) * 1000;
+const VAD_PRE_ROLL_EXTRA_FRAMES = 2; // Frames kept before the VAD attack window, so speech onsets aren't clipped
+
+/**
+ * Input states reported through the session's inputState event:
+ * - inactive: not recording
+ * - waitingForUser: the microphone is live and the model is waiting for you
+ * - endOfSpeech: the model heard the end of your speech (audioStreamEnd / activityEnd sent, or it started answering)
+ * - muted: the microphone is muted and the server was told the stream ended
+ */
+export const INPUT_STATES = ['inactive', 'waitingForUser', 'endOfSpeech', 'muted'];
+
+// The microphone, VoiceProcessor and InCallManager are device-wide, so their
+// state is shared by every pipeline. Each pipeline attaches its own listeners.
+const voiceProcessor = VoiceProcessor.instance;
+let isInCallManagerInitialized = false;
+const capturingPipelines = new Set();
+let captureSampleRate = AUDIO_SAMPLE_RATE; // Rate the shared processor is actually running at
+
+/**
+ * Initialize InCallManager with AEC and speaker settings
+ * This is separated to make it more robust and handle errors properly
+ * Falls back to using only the VoiceProcessor if InCallManager is unavailable
+ */
+const initializeInCallManager = async () => {
+  if (isInCallManagerInitialized) {
+    log.info('InCallManager already initialized');
+    return true;
+  }
+
+  // Check if InCallManager is actually available
+  if (!InCallManager) {
+    log.info('InCallManager not available, will rely on native AEC');
+    return false;
+  }
+
+  try {
+    log.info('Initializing InCallManager for AEC...');
+
+    // Add small delay to ensure device is ready
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    // Double-check that InCallManager is still available after the delay
+    if (!InCallManager || typeof InCallManager.start !== 'function') {
+      log.warn('InCallManager not available after delay');
+      return false;
+    }
+
+    // Start InCallManager with advanced audio processing enabled
+    InCallManager.start({
+      media: 'audio',           // Use audio mode
+      auto: true,              // Automatically configure
+      ringback: '',            // No ringback tone
+      force: true,             // Force these settings
+      forceSpeakerOn: true,    // Force speaker mode - critical for proper AEC
+      // Enable these audio processing features
+      enableAEC: true,                   // Acoustic Echo Cancellation
+      enableAGC: true,                   // Automatic Gain Control
+      enableNS: true,                    // Noise Suppression
+      enableHWAEC: Platform.OS === 'android', // Hardware AEC on Android
+    });
+
+    // Small delay to allow settings to apply
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    // Verify that InCallManager is available and force speaker mode
+    if (InCallManager && typeof InCallManager.setForceSpeakerphoneOn === 'function') {
+      InCallManager.setForceSpeakerphoneOn(true);
+      log.info('Speaker mode forced on');
+      isInCallManagerInitialized = true;
+      return true;
+    } else {
+      log.warn('Unable to force speaker mode - method not available');
+      return false;
+    }
+  } catch (error) {
+    log.error('Error initializing InCallManager:', error);
+    return false;
+  }
+};
+
+// Starts the shared processor at the first rate in CAPTURE_SAMPLE_RATES the device accepts.
+// The frame length is scaled so frames stay FRAME_DURATION_MS long at any rate.
+const startVoiceProcessor = async () => {
+  let lastError = null;
+  for (const sampleRate of CAPTURE_SAMPLE_RATES) {
+    try {
+      await voiceProcessor.start(Math.round((FRAME_LENGTH * sampleRate) / AUDIO_SAMPLE_RATE), sampleRate);
+      captureSampleRate = sampleRate;
+      return;
+    } catch (error) {
+      log.warn(`Capture at ${sampleRate} Hz failed:`, error);
+      lastError = error;
+    }
+  }
+  throw lastError || new Error('No capture sample rate configured');
+};
+
+// Enable Acoustic Echo Cancellation, preferring WebRTC and falling back to InCallManager
+const initializeEchoCancellation = async () => {
+  log.info('Initializing WebRTC-based AEC...');
+  const webrtcSuccess = await WebRTCAudioService.initialize();
+
+  if (webrtcSuccess) {
+    await WebRTCAudioService.startAudioProcessing();
+    if (WebRTCAudioService.isProcessingActive()) {
+      log.info('WebRTC AEC activated successfully');
+      return;
+    }
+  }
+
+  log.warn('WebRTC AEC initialization failed, falling back to InCallManager');
+  const aecSuccess = await initializeInCallManager();
+  if (aecSuccess) {
+    log.info('Fallback AEC enabled with speaker mode');
+  } else {
+    log.warn('All AEC methods failed - will continue without echo cancellation');
+  }
+};
+
+/**
+ * Captures microphone frames for one session and forwards them to it.
+ * The session only needs isConnected(), isSetupComplete(), getSessionOptions(),
+ * sendAudioChunk(), sendAudioStreamEnd(), sendActivityStart() / sendActivityEnd()
+ * and emit(). It calls notifyModelResponding() / notifyModelTurnEnded() back.
+ */
+class AudioInputPipeline {
+  /**
+   * @param {Object} params
+   * @param {Object} params.session - The GeminiLiveSession that receives the audio
+   */
+  constructor({ session }) {
+    this.session = session;
+    this.isRecording = false;
+    this.isMuted = false;
+    // Speech captured while the session is connecting, replayed in order on setupComplete
+    this.recordingBuffer = new PreRollBuffer({ maxMs: PRE_ROLL_BUFFER_MS, frameDurationMs: FRAME_DURATION_MS });
+    this.frameListener = null;
+    this.errorListener = null;
+    this.frameTaps = new Set(); // Observers of outgoing frames (SessionRecorder), see addFrameTap
+    this.resampler = null; // Capture rate -> AUDIO_SAMPLE_RATE, created when recording starts
+
+    // Turn taking, configured from the session's conversationMode and vad options on startRecording()
+    this.conversationMode = 'always-on';
+    this.isTalking = false; // Push-to-talk button is held
+    this.vad = null;
+    this.vadMode = 'server';
+    this.isActivityOpen = false; // activityStart sent without a matching activityEnd yet
+    this.vadPreRoll = []; // Recent unsent frames in client VAD mode
+
+    this.isStreamOpen = false; // Audio sent since the last audioStreamEnd / activityEnd
+    this.inputState = 'inactive';
+  }
+
+  _setInputState(state, reason) {
+    if (state === this.inputState) {
+      return;
+    }
+    this.inputState = state;
+    this.session.emit('inputState', { state, reason });
+  }
+
+  _sendFrame(audioData) {
+    this.session.sendAudioChunk(audioData);
+    this.isStreamOpen = true;
+  }
+
+  /**
+   * Tells the server the user's audio stopped: activityEnd with client VAD or push-to-talk,
+   * otherwise audioStreamEnd if anything was sent since the last one.
+   */
+  _endStream(reason) {
+    if (this._signalsActivity()) {
+      this._closeActivity();
+    } else if (this.isStreamOpen && this.session.isConnected()) {
+      this.session.sendAudioStreamEnd();
+    }
+    this.isStreamOpen = false;
+    if (!this.isMuted) {
+      this._setInputState('endOfSpeech', reason);
+    }
+  }
+
+  // Called by the session when model audio arrives: the server has ended the user's turn
+  notifyModelResponding() {
+    if (this.inputState === 'waitingForUser' && !this.isTalking && !this.vad?.isSpeaking) {
+      this._setInputState('endOfSpeech', 'modelResponding');
+    }
+  }
+
+  // Called by the session on turnComplete / interrupted: it's the user's turn again
+  notifyModelTurnEnded(reason) {
+    if (this.isRecording && !this.isMuted) {
+      this._setInputState('waitingForUser', reason);
+    }
+  }
+
+  _configureTurnTaking() {
+    const { conversationMode, vad: vadOptions } = this.session.getSessionOptions();
+    this.conversationMode = conversationMode;
+    this.isTalking = false;
+    this.vadMode = vadOptions.mode;
+    this.vad = this.vadMode === 'server' ? null : new VoiceActivityDetector(vadOptions, FRAME_DURATION_MS);
+    this.isActivityOpen = false;
+    this.vadPreRoll = [];
+    log.info(`Conversation mode "${this.conversationMode}", VAD mode "${this.vadMode}"`);
+  }
+
+  _isPushToTalk() {
+    return this.conversationMode === 'push-to-talk';
+  }
+
+  // Whether the app marks turns itself with activityStart / activityEnd instead of the server VAD
+  _signalsActivity() {
+    return this.vadMode === 'client' || this._isPushToTalk();
+  }
+
+  // Whether the user is currently taking a turn: the talk button in push-to-talk, otherwise the VAD
+  _isUserTurnActive() {
+    return this._isPushToTalk() ? this.isTalking : this.vad.isSpeaking;
+  }
+
+  // Runs the local VAD on a frame and reports speech start / end to session listeners
+  _updateVad(frame) {
+    const result = this.vad.process(frame);
+    if (result.event) {
+      this.session.emit('voiceActivity', { speaking: result.event === 'start' });
+    }
+    return result;
+  }
+
+  _openActivity() {
+    this.isActivityOpen = this.session.sendActivityStart();
+  }
+
+  _closeActivity() {
+    if (this.isActivityOpen && this.session.isConnected()) {
+      this.session.sendActivityEnd();
+    }
+    this.isActivityOpen = false;
+    this.isStreamOpen = false;
+  }
+
+  _keepPreRoll(audioData) {
+    this.vadPreRoll.push(audioData);
+    if (this.vadPreRoll.length > this.vad.attackFrames + VAD_PRE_ROLL_EXTRA_FRAMES) {
+      this.vadPreRoll.shift();
+    }
+  }
+
+  // Client VAD mode: only speech is sent, wrapped in activityStart / activityEnd
+  _sendWithClientVad(frame, audioData) {
+    const { isSpeaking } = this._updateVad(frame);
+
+    if (isSpeaking) {
+      if (!this.isActivityOpen) {
+        this._openActivity();
+        this.vadPreRoll.forEach((preRollFrame) => this._sendFrame(preRollFrame));
+        this.vadPreRoll = [];
+        this._setInputState('waitingForUser', 'activityStart');
+      }
+      this._sendFrame(audioData);
+    } else if (this.isActivityOpen) {
+      this._sendFrame(audioData);
+      this._endStream('activityEnd');
+    } else {
+      this._keepPreRoll(audioData);
+    }
+  }
+
+  // Initialize the voice processor listeners for this pipeline
+  async initializeVoiceProcessor() {
+    try {
+      // Request recording permissions
+      const permissionsGranted = await PermissionsService.requestMicrophonePermission();
+      if (!permissionsGranted) {
+        log.error('Recording permissions not granted');
+        return false;
+      }
+
+      log.info('Initializing voice processor...');
+
+      if (AEC_ENABLED && capturingPipelines.size === 0) {
+        await initializeEchoCancellation();
+      }
+
+      // Remove any existing listeners to avoid duplicates
+      this._removeListeners();
+
+      // Set up frame processing callback
+      this.frameListener = (frame) => this._handleFrame(frame);
+
+      // Set up error listener
+      this.errorListener = (error) => {
+        frameLog.error('Voice processor error:', error);
+      };
+
+      // Add the listeners
+      voiceProcessor.addFrameListener(this.frameListener);
+      voiceProcessor.addErrorListener(this.errorListener);
+
+      log.info('Voice processor initialized successfully');
+      return true;
+    } catch (err) {
+      log.error('Failed to initialize voice processor:', err);
+      return false;
+    }
+  }
+
+  // Converts a captured frame to AUDIO_SAMPLE_RATE; muted frames go through too, so the resampler state stays continuous
+  _toSessionRate(frame) {
+    if (this.resampler.isPassthrough) {
+      return new Int16Array(frame);
+    }
+    return float32ToInt16(this.resampler.process(int16ToFloat32(frame)));
+  }
+
+  _handleFrame(capturedFrame) {
+    // Captured frame is an array of 16-bit integers (PCM samples) at the capture rate
+    const frame = this._toSessionRate(capturedFrame);
+    if (frame.length === 0) {
+      return;
+    }
+    const audioData = frame.buffer;
+
+    // Only send audio if not muted
+    if (this.isMuted) {
+      return;
+    }
+
+    // Push-to-talk: frames are only streamed while the talk button is held
+    if (this._isPushToTalk() && !this.isTalking) {
+      return;
+    }
+
+    this._notifyFrameTaps(frame);
+
+    // Send to the session if its connection is ready
+    if (this.session.isConnected() && this.session.isSetupComplete()) {
+      if (this._isPushToTalk()) {
+        // The button was pressed before the session was ready
+        if (!this.isActivityOpen) {
+          this._openActivity();
+        }
+      } else if (this.vadMode === 'client') {
+        this._sendWithClientVad(frame, audioData);
+        return;
+      }
+      if (this.vad) {
+        this._updateVad(frame);
+      }
+      this._sendFrame(audioData);
+    } else {
+      frameLog.debug('WebSocket not ready, buffering audio');
+      this.isStreamOpen = false; // Whatever was open belonged to the previous connection
+      if (this.vad) {
+        // Keep the detector in step; a new connection needs a fresh activityStart
+        this._updateVad(frame);
+        this.isActivityOpen = false;
+      }
+      // The oldest frames are overwritten (and counted as dropped) beyond PRE_ROLL_BUFFER_MS
+      this.recordingBuffer.push(audioData);
+    }
+  }
+
+  _notifyFrameTaps(frame) {
+    if (this.frameTaps.size === 0) {
+      return;
+    }
+    const event = { samples: frame, sampleRate: AUDIO_SAMPLE_RATE, capturedAtMs: Date.now() };
+    this.frameTaps.forEach((tap) => {
+      try {
+        tap(event);
+      } catch (error) {
+        frameLog.error('Frame tap failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Observes the microphone frames that pass the mute and push-to-talk gates,
+   * i.e. what is sent (or buffered) for the model. The tap receives
+   * { samples: Int16Array, sampleRate, capturedAtMs } at AUDIO_SAMPLE_RATE.
+   * @param {Function} tap
+   * @returns {Function} - Removes the tap
+   */
+  addFrameTap(tap) {
+    this.frameTaps.add(tap);
+    return () => this.frameTaps.delete(tap);
+  }
+
+  _removeListeners() {
+    if (this.frameListener) {
+      voiceProcessor.removeFrameListener(this.frameListener);
+      this.frameListener = null;
+    }
+
+    if (this.errorListener) {
+      voiceProcessor.removeErrorListener(this.errorListener);
+      this.errorListener = null;
+    }
+  }
+
+  async startRecording() {
+    if (this.isRecording) {
+      log.info('Already recording');
+      return true;
+    }
+
+    try {
+      this._configureTurnTaking();
+      await this.initializeVoiceProcessor();
+
+      log.info('Starting voice processing...');
+
+      // Check if we have permission
+      if (await voiceProcessor.hasRecordAudioPermission()) {
+        // The processor is shared; only the first pipeline starts it
+        if (capturingPipelines.size === 0) {
+          await startVoiceProcessor();
+        }
+        capturingPipelines.add(this);
+        this.resampler = new StreamingResampler({ inputRate: captureSampleRate, outputRate: AUDIO_SAMPLE_RATE });
+
+        this.isRecording = true;
+        this._setInputState(this.isMuted ? 'muted' : 'waitingForUser', 'recordingStarted');
+        log.info(`Voice processing started at ${captureSampleRate} Hz, sending ${AUDIO_SAMPLE_RATE} Hz`);
+        return true;
+      } else {
+        log.error('No recording permission');
+        this._removeListeners();
+        return false;
+      }
+    } catch (err) {
+      log.error('Failed to start voice processing:', err);
+      this._removeListeners();
+      return false;
+    }
+  }
+
+  async stopRecording() {
+    if (!this.isRecording) {
+      log.info('Not recording');
+      return;
+    }
+
+    try {
+      log.info('Stopping voice processing...');
+
+      // Remove frame and error listeners to ensure no more callbacks occur
+      this._removeListeners();
+      capturingPipelines.delete(this);
+      this.isTalking = false;
+      this._endStream('recordingStopped');
+      this.vad?.reset();
+      this.vadPreRoll = [];
+
+      // Stop capturing audio once no other pipeline needs the microphone
+      if (capturingPipelines.size === 0) {
+        await voiceProcessor.stop();
+      }
+
+      // Clear buffer
+      this.recordingBuffer.clear();
+
+      this.isRecording = false;
+      this.isMuted = false; // Reset mute state when stopping recording
+      this._setInputState('inactive', 'recordingStopped');
+      log.info('Voice processing stopped');
+
+      // Stop WebRTC AEC with the last recording to ensure the microphone is fully released
+      if (capturingPipelines.size === 0 && WebRTCAudioService.isProcessingActive()) {
+        try {
+          await WebRTCAudioService.stopAudioProcessing();
+          log.info('WebRTC AEC stopped with recording');
+        } catch (aecErr) {
+          log.error('Error stopping WebRTC AEC:', aecErr);
+        }
+      }
+    } catch (err) {
+      log.error('Error stopping voice processing:', err);
+    }
+  }
+
+  // Send the audio buffered while connecting, oldest first; the session calls this on setupComplete
+  sendBufferedAudio() {
+    if (!this.recordingBuffer.isEmpty() && this.session.isConnected() && this.session.isSetupComplete()) {
+      // In client VAD mode buffered silence is not sent; it only serves as pre-roll
+      if (this.vadMode === 'client' && !this._isPushToTalk() && !this._isUserTurnActive()) {
+        this.recordingBuffer.drain().forEach((audioBuffer) => this._keepPreRoll(audioBuffer));
+        return;
+      }
+      if (this._signalsActivity() && !this.isActivityOpen) {
+        this._openActivity();
+      }
+
+      const bufferedMs = Math.round(this.recordingBuffer.getBufferedMs());
+      const frames = this.recordingBuffer.drain();
+      log.info(`Sending ${frames.length} buffered audio chunks (${bufferedMs}ms)`);
+      frames.forEach((audioBuffer) => this._sendFrame(audioBuffer));
+
+      // Flushed frames from before a mute still need their stream end
+      if (this.isMuted) {
+        this._endStream('muted');
+      } else if (this._isPushToTalk() && !this.isTalking) {
+        // The talk button was released before the session was ready, so the buffered turn is complete
+        this._endStream('talkReleased');
+      }
+    }
+  }
+
+  /**
+   * Push-to-talk: starts streaming microphone frames while the talk button is held.
+   * The press is sent as activityStart and the release as activityEnd, whatever the VAD mode.
+   * @returns {boolean} - false if the session is not in push-to-talk mode
+   */
+  startTalking() {
+    if (!this._isPushToTalk()) {
+      log.warn('startTalking() needs conversationMode "push-to-talk"');
+      return false;
+    }
+    if (this.isTalking) {
+      return true;
+    }
+
+    this.isTalking = true;
+    if (this.session.isConnected() && this.session.isSetupComplete()) {
+      this._openActivity();
+    }
+    this._setInputState('waitingForUser', 'talkPressed');
+    log.info('Talk button pressed');
+    return true;
+  }
+
+  // Push-to-talk: the button was released, so the model may answer now
+  stopTalking() {
+    if (!this.isTalking) {
+      return;
+    }
+
+    this.isTalking = false;
+    this._endStream('talkReleased');
+    log.info('Talk button released');
+  }
+
+  isTalkActive() {
+    return this.isTalking;
+  }
+
+  isRecordingActive() {
+    return this.isRecording;
+  }
+
+  /**
+   * Mutes or unmutes the microphone. Muting ends the utterance on the server
+   * (audioStreamEnd, or activityEnd with client VAD or push-to-talk) so its VAD
+   * doesn't wait for the rest of it. Frames captured before the mute and not sent yet are sent
+   * first or dropped, per the session's muteBufferPolicy. Nothing captured while
+   * muted is ever sent.
+   */
+  setMuted(muted) {
+    if (muted === this.isMuted) {
+      return true;
+    }
+
+    if (muted) {
+      this._muteStream();
+    } else {
+      this.isMuted = false;
+      // Resume cleanly: a fresh utterance, with detection starting from scratch
+      this.vad?.reset();
+      this.vadPreRoll = [];
+      this._setInputState(this.isRecording ? 'waitingForUser' : 'inactive', 'unmuted');
+    }
+
+    log.info(`Microphone ${muted ? 'muted' : 'unmuted'}`);
+    return true;
+  }
+
+  _muteStream() {
+    const { muteBufferPolicy } = this.session.getSessionOptions();
+    const isSessionReady = this.session.isConnected() && this.session.isSetupComplete();
+
+    // Pre-roll is silence before speech; it never belongs to the utterance being ended
+    this.vadPreRoll = [];
+    if (muteBufferPolicy === 'drop') {
+      this.recordingBuffer.clear();
+    } else if (isSessionReady && !this.recordingBuffer.isEmpty()) {
+      const frames = this.recordingBuffer.drain();
+      log.info(`Flushing ${frames.length} buffered frames before mute`);
+      frames.forEach((audioBuffer) => this._sendFrame(audioBuffer));
+    }
+    // Otherwise the flush policy keeps the buffer for sendBufferedAudio(), which ends the stream after it
+
+    this.isTalking = false;
+    this.isMuted = true;
+    if (isSessionReady) {
+      this._endStream('muted');
+    } else {
+      // The next connection starts without an open stream
+      this.isActivityOpen = false;
+      this.isStreamOpen = false;
+    }
+
+    this.vad?.reset();
+    this._setInputState(this.isRecording ? 'muted' : 'inactive', 'muted');
+  }
+
+  isMicrophoneMuted() {
+    return this.isMuted;
+  }
+
+  // Pre-roll buffer counters, including how much audio was dropped while connecting
+  getPreRollStats() {
+    return this.recordingBuffer.getStats();
+  }
+
+  // One of INPUT_STATES
+  getInputState() {
+    return this.inputState;
+  }
+
+  // Clean up all audio input resources
+  async cleanupResources() {
+    try {
+      log.info('Cleaning up all resources...');
+
+      // Stop recording if active
+      if (this.isRecording) {
+        await this.stopRecording();
+      }
+
+      if (capturingPipelines.size === 0) {
+        // Clean up WebRTC resources if active
+        if (WebRTCAudioService.isProcessingActive()) {
+          await WebRTCAudioService.stopAudioProcessing();
+          log.info('WebRTC AEC resources released');
+        }
+
+        // Clean up InCallManager if it was initialized
+        if (isInCallManagerInitialized && InCallManager) {
+          try {
+            InCallManager.stop();
+            log.info('InCallManager resources released');
+          } catch (err) {
+            log.warn('Error stopping InCallManager:', err);
+          }
+          isInCallManagerInitialized = false;
+        }
+      }
+
+      // Clear any remaining buffer
+      this.recordingBuffer.clear();
+
+      log.info('All resources cleaned up');
+      return true;
+    } catch (error) {
+      log.error('Error during cleanup:', error);
+      return false;
+    }
+  }
+}
+
+export default AudioInputPipeline;
@@ -0,0 +1,580 @@
+// services/AudioOutputPipeline.js
+// Rule III: Audio Output Pipeline - per-session playback of model audio
+
+import { Buffer } from "buffer";
+import { AudioContext } from "react-native-audio-api";
+import StreamingResampler from "./Resampler";
+import { AppState, Platform } from "react-native";
+import InCallManager from "react-native-incall-manager";
+import {
+    AEC_ENABLED,
+    AGC_ENABLED,
+    NS_ENABLED,
+    PLAYBACK_JITTER_BUFFER_MS,
+    PLAYBACK_JITTER_MAX_WAIT_MS,
+} from "../config";
+import { createLogger } from "./Logger";
+
+const log = createLogger("AudioOutputPipeline");
+
+// Constants for audio output from Gemini Live API
+const OUTPUT_SAMPLE_RATE = 24000; // Gemini outputs at 24kHz
+const OUTPUT_CHANNELS = 1; // Mono
+
+// Headroom between scheduling a source and its start time, so the first
+// samples are not skipped while the render thread picks the node up
+const SCHEDULE_LEAD_SECONDS = 0.02;
+
+// Fade applied when playback is cut off (barge-in); long enough to avoid a click
+const STOP_FADE_SECONDS = 0.03;
+
+// Audio routing is device-wide, so it is shared by every pipeline
+let isInCallManagerInitialized = false;
+let isSpeakerOn = true; // Default to speaker on
+
+// Initialize InCallManager safely - only if available
+const initializeInCallManager = async () => {
+    if (isInCallManagerInitialized) {
+        return true;
+    }
+
+    // Check if InCallManager is actually available
+    if (!InCallManager) {
+        return false;
+    }
+
+    try {
+        // Add a small delay to ensure proper device initialization
+        await new Promise((resolve) => setTimeout(resolve, 500));
+
+        // Make sure InCallManager is still available after the delay
+        if (!InCallManager || typeof InCallManager.start !== "function") {
+            log.warn("InCallManager not available after delay");
+            return false;
+        }
+
+        // Start InCallManager with explicit configuration
+        InCallManager.start({
+            media: "audio", // Use audio mode
+            auto: true, // Automatically configure
+            ringback: "", // No ringback tone
+            force: true, // Force these settings
+            forceSpeakerOn: isSpeakerOn, // Use state variable
+            enableAEC: AEC_ENABLED, // Enable Acoustic Echo Cancellation
+            enableAGC: AGC_ENABLED, // Enable Automatic Gain Control
+            enableNS: NS_ENABLED, // Enable Noise Suppression
+        });
+
+        // Add another small delay to ensure initialization completes
+        await new Promise((resolve) => setTimeout(resolve, 300));
+
+        // Now try to force speaker mode - with extra safety check
+        if (
+            InCallManager &&
+            typeof InCallManager.setForceSpeakerphoneOn === "function"
+        ) {
+            InCallManager.setForceSpeakerphoneOn(isSpeakerOn);
+        } else {
+            log.warn("Could not force speaker mode - method not available");
+        }
+
+        // If we made it here, consider InCallManager initialized
+        isInCallManagerInitialized = true;
+        return true;
+    } catch (error) {
+        log.error("Error initializing InCallManager:", error);
+        return false;
+    }
+};
+
+/**
+ * Decodes one chunk of model audio into float samples
+ * @param {Object|string|ArrayBuffer|Uint8Array} chunk - { type: "audio", data, mimeType }, Base64 string or raw PCM16 little-endian bytes
+ * @returns {Object|null} - { samples: Float32Array, sampleRate } or null if the chunk is unusable
+ */
+const _decodePcmChunk = (chunk) => {
+    let pcmData = chunk;
+    let sampleRate = OUTPUT_SAMPLE_RATE;
+
+    // Handle the object format with type, data, and mimeType fields
+    if (chunk && typeof chunk === "object" && chunk.type === "audio") {
+        pcmData = chunk.data;
+
+        const rateMatch = chunk.mimeType?.match(/rate=(\d+)/);
+        if (rateMatch) {
+            sampleRate = parseInt(rateMatch[1], 10);
+        }
+    }
+
+    let bytes;
+    if (typeof pcmData === "string") {
+        bytes = Buffer.from(pcmData, "base64");
+    } else if (pcmData instanceof ArrayBuffer) {
+        bytes = new Uint8Array(pcmData);
+    } else if (pcmData instanceof Uint8Array) {
+        bytes = pcmData;
+    } else {
+        log.error("Unsupported audio data format", typeof pcmData);
+        return null;
+    }
+
+    // Read sample by sample: the bytes may start at an odd offset, which Int16Array can't view
+    const sampleCount = Math.floor(bytes.length / 2);
+    if (sampleCount === 0) {
+        return null;
+    }
+    const samples = new Float32Array(sampleCount);
+    for (let i = 0; i < sampleCount; i++) {
+        const value = (bytes[i * 2] | (bytes[i * 2 + 1] << 8)) << 16 >> 16;
+        samples[i] = value / 32768;
+    }
+
+    return { samples, sampleRate };
+};
+
+/**
+ * Plays model audio for one session. Each pipeline owns its AudioContext,
+ * jitter buffer and schedule, so several sessions can play independently.
+ *
+ * Chunks are decoded straight into AudioBuffers and scheduled back to back on
+ * the AudioContext clock. Only the start of a response (or the first chunk
+ * after an underrun) waits in the jitter buffer.
+ */
+class AudioOutputPipeline {
+    constructor() {
+        this.audioContext = null;
+        this.isPlaying = false;
+        this.jitterBuffer = []; // Decoded chunks waiting for playback to (re)start
+        this.jitterBufferMs = 0;
+        this.jitterTimer = null; // Starts playback if the jitter buffer doesn't fill in time
+        this.nextStartTime = 0; // AudioContext time at which the next chunk starts
+        this.activeSources = new Map(); // Scheduled or playing AudioBufferSourceNode -> { startTime, duration, responseId }
+        this.outputGain = null; // GainNode between the sources and the destination, used for fade-outs
+        this.fadeEndTime = 0; // Nothing new may start before a running fade-out ends
+
+        // How much of the current model response was received and played, for transcript truncation
+        this.responseId = 0;
+        this.isResponseComplete = true;
+        this.responseReceivedMs = 0;
+        this.responsePlayedMs = 0; // Audio of sources that already ended
+
+        // Model rate -> AudioContext rate; one stream per response, so chunk boundaries stay seamless
+        this.resampler = null;
+        this.appStateSubscription = null;
+
+        // Observers of what is actually played (SessionRecorder), see addPlaybackTap
+        this.playbackTaps = new Set();
+
+        // Clean up when the app goes to background on iOS
+        if (Platform.OS === "ios") {
+            try {
+                this.appStateSubscription = AppState.addEventListener(
+                    "change",
+                    (nextAppState) => {
+                        if (
+                            nextAppState === "inactive" ||
+                            nextAppState === "background"
+                        ) {
+                            this.cleanupAudioResources();
+                        }
+                    }
+                );
+            } catch (error) {
+                log.warn("Could not set up AppState listener:", error);
+            }
+        }
+    }
+
+    // Function to toggle speaker mode (device-wide)
+    toggleSpeakerMode(isOn) {
+        if (
+            isInCallManagerInitialized &&
+            InCallManager &&
+            typeof InCallManager.setForceSpeakerphoneOn === "function"
+        ) {
+            isSpeakerOn = isOn;
+            InCallManager.setForceSpeakerphoneOn(isSpeakerOn);
+            log.info(`Speaker mode set to ${isSpeakerOn ? "ON" : "OFF"}`);
+        } else {
+            log.warn("Cannot toggle speaker mode, InCallManager not ready.");
+        }
+    }
+
+    // Configure audio for playback; the AudioContext is created once per pipeline
+    async configureAudio() {
+        try {
+            if (!this.audioContext) {
+                this.audioContext = new AudioContext();
+                this.outputGain = this.audioContext.createGain();
+                this.outputGain.connect(this.audioContext.destination);
+            }
+
+            await initializeInCallManager();
+
+            // Set audio to maximum volume on Android
+            if (Platform.OS === "android" && isInCallManagerInitialized) {
+                try {
+                    InCallManager.setAudioVolume(1.0);
+                } catch (volumeError) {
+                    log.warn("Error setting audio volume:", volumeError);
+                }
+            }
+
+            return true;
+        } catch (error) {
+            log.error("Error configuring audio:", error);
+            return false;
+        }
+    }
+
+    // Re-assert the speaker route before a response starts playing
+    _activateSpeakerRoute() {
+        try {
+            if (
+                isInCallManagerInitialized &&
+                InCallManager &&
+                typeof InCallManager.setForceSpeakerphoneOn === "function"
+            ) {
+                InCallManager.setForceSpeakerphoneOn(isSpeakerOn);
+            }
+        } catch (sessionError) {
+            log.warn("Error re-activating audio session:", sessionError);
+            // Continue anyway, as the error might be that it's already activated
+        }
+    }
+
+    // True while scheduled audio is still ahead of the AudioContext clock
+    _isScheduleRunning() {
+        return (
+            this.activeSources.size > 0 &&
+            this.nextStartTime > this.audioContext.currentTime
+        );
+    }
+
+    /**
+     * Schedules one decoded chunk right after the previously scheduled one
+     * @param {Object} decoded - Output of _decodePcmChunk
+     */
+    _scheduleChunk({ samples, sampleRate }) {
+        const audioBuffer = this.audioContext.createBuffer(
+            OUTPUT_CHANNELS,
+            samples.length,
+            sampleRate
+        );
+        audioBuffer.copyToChannel(samples, 0);
+
+        const sourceNode = this.audioContext.createBufferSource();
+        sourceNode.buffer = audioBuffer;
+        sourceNode.connect(this.outputGain);
+
+        // Never schedule in the past; after an underrun the chain restarts from now
+        const earliestStart = Math.max(
+            this.audioContext.currentTime + SCHEDULE_LEAD_SECONDS,
+            this.fadeEndTime
+        );
+        const startTime = Math.max(this.nextStartTime, earliestStart);
+        const timing = {
+            startTime,
+            duration: audioBuffer.duration,
+            responseId: this.responseId,
+        };
+
+        sourceNode.onended = () => {
+            this.activeSources.delete(sourceNode);
+            if (timing.responseId === this.responseId) {
+                this.responsePlayedMs += timing.duration * 1000;
+            }
+            if (this.activeSources.size === 0) {
+                this.isPlaying = false;
+            }
+        };
+
+        this.activeSources.set(sourceNode, timing);
+        sourceNode.start(startTime);
+        this._notifyPlaybackTaps({
+            type: "scheduled",
+            samples,
+            sampleRate,
+            startAtMs: this._contextTimeToWallClock(startTime),
+        });
+        this.nextStartTime = startTime + audioBuffer.duration;
+        this.isPlaying = true;
+    }
+
+    // Date.now() time at which the given AudioContext time is (or was) audible
+    _contextTimeToWallClock(contextTime) {
+        return Date.now() + (contextTime - this.audioContext.currentTime) * 1000;
+    }
+
+    _notifyPlaybackTaps(event) {
+        this.playbackTaps.forEach((tap) => {
+            try {
+                tap(event);
+            } catch (error) {
+                log.error("Playback tap failed:", error);
+            }
+        });
+    }
+
+    /**
+     * Observes playback on the session timeline. The tap receives
+     * { type: "scheduled", samples: Float32Array, sampleRate, startAtMs } for every chunk put on the
+     * schedule and { type: "cleared", stopAtMs } when playback is cut off; times are Date.now() based.
+     * @param {Function} tap
+     * @returns {Function} - Removes the tap
+     */
+    addPlaybackTap(tap) {
+        this.playbackTaps.add(tap);
+        return () => this.playbackTaps.delete(tap);
+    }
+
+    // Moves everything in the jitter buffer onto the schedule
+    _flushJitterBuffer() {
+        if (this.jitterTimer) {
+            clearTimeout(this.jitterTimer);
+            this.jitterTimer = null;
+        }
+
+        const chunks = this.jitterBuffer;
+        this.jitterBuffer = [];
+        this.jitterBufferMs = 0;
+
+        if (chunks.length === 0 || !this.audioContext) {
+            return;
+        }
+
+        this._activateSpeakerRoute();
+        try {
+            chunks.forEach((chunk) => this._scheduleChunk(chunk));
+        } catch (error) {
+            log.error("Error scheduling audio:", error);
+        }
+    }
+
+    /**
+     * Converts decoded model audio to the AudioContext's rate
+     * @param {Object} decoded - { samples, sampleRate }
+     * @returns {Object} - { samples, sampleRate } at audioContext.sampleRate
+     */
+    _resampleForContext({ samples, sampleRate }) {
+        const contextRate = this.audioContext.sampleRate;
+        if (
+            !this.resampler ||
+            this.resampler.inputRate !== sampleRate ||
+            this.resampler.outputRate !== contextRate
+        ) {
+            this.resampler = new StreamingResampler({
+                inputRate: sampleRate,
+                outputRate: contextRate,
+            });
+        }
+        return {
+            samples: this.resampler.process(samples),
+            sampleRate: contextRate,
+        };
+    }
+
+    // Schedules audio right away while playback runs, otherwise collects it in the jitter buffer
+    _enqueue(playable) {
+        if (playable.samples.length === 0) {
+            return;
+        }
+
+        // Playback is already running: append to the schedule without waiting
+        if (this._isScheduleRunning() && this.jitterBuffer.length === 0) {
+            this._scheduleChunk(playable);
+            return;
+        }
+
+        // Start of a response or an underrun: hold audio back until the jitter buffer fills
+        this.jitterBuffer.push(playable);
+        this.jitterBufferMs +=
+            (playable.samples.length / playable.sampleRate) * 1000;
+
+        if (this.jitterBufferMs >= PLAYBACK_JITTER_BUFFER_MS) {
+            this._flushJitterBuffer();
+        } else if (!this.jitterTimer) {
+            this.jitterTimer = setTimeout(
+                () => this._flushJitterBuffer(),
+                PLAYBACK_JITTER_MAX_WAIT_MS
+            );
+        }
+    }
+
+    /**
+     * Play an audio chunk received from the WebSocket
+     * @param {ArrayBuffer|Uint8Array|string|Object} audioData - Audio data, possibly Base64 encoded or in an object
+     */
+    async playAudioChunk(audioData) {
+        if (!audioData) {
+            log.warn("Received null or undefined audio data");
+            return;
+        }
+
+        try {
+            // Initialize audio if not done already
+            await this.configureAudio();
+
+            const decoded = _decodePcmChunk(audioData);
+            if (!decoded) {
+                return;
+            }
+
+            // First chunk after markResponseComplete() or a clear starts a new response
+            if (this.isResponseComplete) {
+                this.isResponseComplete = false;
+                this.responseId++;
+                this.responseReceivedMs = 0;
+                this.responsePlayedMs = 0;
+            }
+            this.responseReceivedMs +=
+                (decoded.samples.length / decoded.sampleRate) * 1000;
+
+            this._enqueue(this._resampleForContext(decoded));
+        } catch (error) {
+            log.error("Error queuing audio chunk:", error);
+        }
+    }
+
+    // Called when the server completes a turn, so the next chunk counts towards a new response
+    markResponseComplete() {
+        this.isResponseComplete = true;
+
+        // Play the few samples the resampler still holds back
+        if (this.resampler && this.audioContext) {
+            this._enqueue({
+                samples: this.resampler.flush(),
+                sampleRate: this.resampler.outputRate,
+            });
+        }
+    }
+
+    /**
+     * How much of the current model response has been heard
+     * @returns {Object} - { playedMs, receivedMs }
+     */
+    getPlaybackProgress() {
+        let playedMs = this.responsePlayedMs;
+        if (this.audioContext) {
+            const now = this.audioContext.currentTime;
+            this.activeSources.forEach(({ startTime, duration, responseId }) => {
+                if (responseId === this.responseId) {
+                    playedMs +=
+                        Math.min(Math.max(now - startTime, 0), duration) * 1000;
+                }
+            });
+        }
+        return {
+            playedMs: Math.round(playedMs),
+            receivedMs: Math.round(this.responseReceivedMs),
+        };
+    }
+
+    /**
+     * Cleanup audio resources and stop InCallManager
+     * @returns {Promise<boolean>} - Whether cleanup was successful
+     */
+    async cleanupAudioResources() {
+        try {
+            log.info("Cleaning up audio resources...");
+
+            // Stop InCallManager if it's running and AEC isn't enabled
+            // If AEC is enabled, we leave InCallManager running to maintain AEC across sessions
+            try {
+                if (!AEC_ENABLED) {
+                    InCallManager.stop();
+                    isInCallManagerInitialized = false;
+                    log.info("InCallManager stopped");
+                } else {
+                    log.info("Keeping InCallManager running for AEC");
+                }
+            } catch (inCallError) {
+                log.warn("Error managing InCallManager:", inCallError);
+            }
+
+            this.isPlaying = false;
+            log.info("Audio resources cleaned up");
+            return true;
+        } catch (error) {
+            log.error("Error during cleanup:", error);
+            return false;
+        }
+    }
+
+    /**
+     * Clear the audio playback queue and stop current playback with a short fade-out
+     * @returns {Promise<Object|null>} - getPlaybackProgress() at the moment of the cut, or null on failure
+     */
+    async clearPlaybackQueue() {
+        try {
+            log.info("Clearing audio playback queue");
+            const progress = this.getPlaybackProgress();
+
+            // Drop audio that hasn't been scheduled yet
+            this.jitterBuffer = [];
+            this.jitterBufferMs = 0;
+            if (this.jitterTimer) {
+                clearTimeout(this.jitterTimer);
+                this.jitterTimer = null;
+            }
+
+            // Fade out and stop everything already scheduled, including chunks that haven't started
+            if (this.activeSources.size > 0 && this.audioContext) {
+                const now = this.audioContext.currentTime;
+                const stopTime = now + STOP_FADE_SECONDS;
+                const gain = this.outputGain.gain;
+                gain.cancelScheduledValues(now);
+                gain.setValueAtTime(gain.value, now);
+                gain.linearRampToValueAtTime(0, stopTime);
+                // Restore full volume for the next response once the fade is done
+                gain.setValueAtTime(1, stopTime);
+                this.fadeEndTime = stopTime;
+
+                this.activeSources.forEach((timing, sourceNode) => {
+                    sourceNode.onended = null;
+                    try {
+                        sourceNode.stop(stopTime);
+                    } catch (stopError) {
+                        // Already stopped
+                    }
+                });
+                this._notifyPlaybackTaps({
+                    type: "cleared",
+                    stopAtMs: this._contextTimeToWallClock(stopTime),
+                });
+            }
+            this.activeSources.clear();
+            this.nextStartTime = 0;
+            this.resampler?.reset();
+
+            // Reset playing state; the next chunk belongs to a new response
+            this.isPlaying = false;
+            this.isResponseComplete = true;
+
+            log.info(
+                `Playback queue cleared after ${progress.playedMs}ms of ${progress.receivedMs}ms`
+            );
+            return progress;
+        } catch (error) {
+            log.error("Error clearing playback queue:", error);
+            return null;
+        }
+    }
+
+    // Release everything this pipeline holds; the instance should not be reused afterwards
+    async dispose() {
+        await this.clearPlaybackQueue();
+        // Every pipeline owns its native audio context; close it so repeated sessions don't leak them
+        try {
+            await this.audioContext?.close();
+        } catch (error) {
+            log.error("Error closing audio context:", error);
+        }
+        this.appStateSubscription?.remove();
+        this.appStateSubscription = null;
+        this.audioContext = null;
+        this.outputGain = null;
+    }
+}
+
+export default AudioOutputPipeline;
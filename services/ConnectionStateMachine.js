@@ -0,0 +1,91 @@
+// services/ConnectionStateMachine.js
+// Rule II: Connection State Machine - the lifecycle of one Gemini Live connection and its legal transitions
+
+import EventEmitter from './EventEmitter';
+import { createLogger } from './Logger';
+
+const log = createLogger('ConnectionStateMachine');
+
+/**
+ * - idle: no connection, nothing pending
+ * - connecting: fetching a credential and opening the socket of a new session
+ * - awaiting-setup: socket open, setup sent, setupComplete not received yet
+ * - ready: set up, nothing flowing
+ * - streaming: the user's audio is being sent
+ * - model-speaking: the model is answering (audio or text)
+ * - reconnecting: connection lost or replaced; waiting for backoff or the new socket
+ * - closing: disconnect() was called, the socket is shutting down
+ * - failed: gave up; a new connect() is needed
+ */
+export const CONNECTION_STATES = [
+  'idle',
+  'connecting',
+  'awaiting-setup',
+  'ready',
+  'streaming',
+  'model-speaking',
+  'reconnecting',
+  'closing',
+  'failed',
+];
+
+// Allowed next states of each state; anything else is rejected
+export const CONNECTION_TRANSITIONS = {
+  idle: ['connecting'],
+  connecting: ['awaiting-setup', 'reconnecting', 'failed', 'closing', 'idle'],
+  'awaiting-setup': ['ready', 'reconnecting', 'failed', 'closing'],
+  ready: ['streaming', 'model-speaking', 'reconnecting', 'failed', 'closing'],
+  streaming: ['ready', 'model-speaking', 'reconnecting', 'failed', 'closing'],
+  'model-speaking': ['ready', 'reconnecting', 'failed', 'closing'],
+  reconnecting: ['awaiting-setup', 'failed', 'closing', 'idle'],
+  closing: ['idle', 'connecting'],
+  failed: ['connecting', 'idle'],
+};
+
+// States in which setupComplete was received on the current socket, so input may be sent
+export const SETUP_COMPLETE_STATES = ['ready', 'streaming', 'model-speaking'];
+
+// States in which a conversation is running, including while it is being re-established
+export const OPEN_STATES = ['awaiting-setup', ...SETUP_COMPLETE_STATES, 'reconnecting'];
+
+/**
+ * Holds the current connection state and only moves along CONNECTION_TRANSITIONS.
+ * Every accepted transition is emitted as stateChange ({ from, to, cause, at }).
+ */
+class ConnectionStateMachine extends EventEmitter {
+  constructor() {
+    super(['stateChange']);
+    this.state = 'idle';
+  }
+
+  canTransition(to) {
+    return CONNECTION_TRANSITIONS[this.state].includes(to);
+  }
+
+  /**
+   * @param {string} to - One of CONNECTION_STATES
+   * @param {string} cause - Why, e.g. 'socketOpen' or 'turnComplete'
+   * @returns {boolean} - false if the transition is not allowed; the state is left unchanged
+   */
+  transition(to, cause) {
+    if (!CONNECTION_TRANSITIONS[to]) {
+      throw new Error(`ConnectionStateMachine: Unknown state "${to}"`);
+    }
+    if (!this.canTransition(to)) {
+      log.warn(`Rejected transition ${this.state} -> ${to} (${cause})`);
+      return false;
+    }
+
+    const change = { from: this.state, to, cause, at: Date.now() };
+    this.state = to;
+    log.debug(`${change.from} -> ${to} (${cause})`);
+    this.emit('stateChange', change);
+    return true;
+  }
+
+  is(...states) {
+    return states.includes(this.state);
+  }
+}
+
+export default ConnectionStateMachine;
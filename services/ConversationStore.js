@@ -0,0 +1,359 @@
+// services/ConversationStore.js
+// Rule IX: Conversation Store - past conversations persisted with expo-file-system
+
+import * as FileSystem from 'expo-file-system';
+import { createLogger } from './Logger';
+
+const log = createLogger('ConversationStore');
+
+const STORE_VERSION = 1;
+const TITLE_MAX_LENGTH = 60;
+const SAVE_DEBOUNCE_MS = 1000; // Transcripts update many times per second while streaming
+
+// Session options worth keeping with a conversation; endpoint and tuning details are left out
+const pickSessionConfig = (options = {}) => ({
+  model: options.model || null,
+  systemInstruction: options.systemInstruction || null,
+  responseModalities: options.responseModalities || null,
+  voiceName: options.speechConfig?.voiceName || null,
+  languageCode: options.speechConfig?.languageCode || null,
+  conversationMode: options.conversationMode || null,
+  vadMode: options.vad?.mode || null,
+});
+
+/**
+ * The conversation's title, or one derived from its first user turn if it was never renamed.
+ * @param {Object} conversation
+ * @returns {string}
+ */
+export const getConversationTitle = (conversation) => {
+  if (conversation.title) {
+    return conversation.title;
+  }
+  const firstUserTurn = conversation.turns.find((turn) => turn.speaker === 'user' && turn.text.trim());
+  if (!firstUserTurn) {
+    return `Conversation ${new Date(conversation.startedAt).toLocaleString()}`;
+  }
+  const text = firstUserTurn.text.trim();
+  return text.length > TITLE_MAX_LENGTH ? `${text.substring(0, TITLE_MAX_LENGTH - 1)}…` : text;
+};
+
+const toSummary = (conversation) => ({
+  id: conversation.id,
+  title: getConversationTitle(conversation),
+  startedAt: conversation.startedAt,
+  endedAt: conversation.endedAt,
+  durationMs: conversation.durationMs,
+  turnCount: conversation.turns.length,
+  model: conversation.config.model,
+  totalTokens: conversation.usage?.totalTokens ?? null,
+  costUsd: conversation.usage?.costUsd ?? null,
+});
+
+/**
+ * Conversations on disk: one JSON file per conversation plus an index of
+ * summaries for the list screen. Writes are serialised, so a save can never
+ * interleave with a rename or delete of the same file.
+ *
+ * A conversation: { id, version, title, startedAt, endedAt, durationMs, config,
+ *   turns: [{ id, speaker: 'user' | 'model', text, source, interrupted, startedAt, updatedAt }],
+ *   recording?: { uri, startedAt, durationMs },
+ *   usage?: token counts and estimated cost, see UsageTracker.getSummary() }
+ */
+export class ConversationStore {
+  /**
+   * @param {string} [directory] - Defaults to conversations/ in the app's document directory
+   */
+  constructor(directory = `${FileSystem.documentDirectory}conversations/`) {
+    this.directory = directory;
+    this.indexPath = `${directory}index.json`;
+    this.index = null; // Loaded lazily
+    this.active = new Map(); // Conversations still being recorded, keyed by id
+    this.saveTimers = new Map();
+    this.writeQueue = Promise.resolve();
+  }
+
+  _conversationPath(id) {
+    return `${this.directory}${id}.json`;
+  }
+
+  // Runs one write after the previous one finished, whatever its outcome
+  _enqueue(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch((error) => {
+      log.error('Write failed:', error);
+    });
+    return run;
+  }
+
+  async _ensureDirectory() {
+    const info = await FileSystem.getInfoAsync(this.directory);
+    if (!info.exists) {
+      await FileSystem.makeDirectoryAsync(this.directory, { intermediates: true });
+    }
+  }
+
+  async _loadIndex() {
+    if (this.index) {
+      return this.index;
+    }
+    await this._ensureDirectory();
+    const info = await FileSystem.getInfoAsync(this.indexPath);
+    if (!info.exists) {
+      this.index = [];
+      return this.index;
+    }
+    try {
+      this.index = JSON.parse(await FileSystem.readAsStringAsync(this.indexPath));
+    } catch (error) {
+      log.error('Index is unreadable, starting a new one:', error);
+      this.index = [];
+    }
+    return this.index;
+  }
+
+  async _writeIndex() {
+    await FileSystem.writeAsStringAsync(this.indexPath, JSON.stringify(this.index));
+  }
+
+  async _writeConversation(conversation) {
+    await this._loadIndex();
+    await FileSystem.writeAsStringAsync(this._conversationPath(conversation.id), JSON.stringify(conversation));
+
+    const summary = toSummary(conversation);
+    const position = this.index.findIndex((entry) => entry.id === conversation.id);
+    if (position === -1) {
+      this.index.unshift(summary);
+    } else {
+      this.index[position] = summary;
+    }
+    await this._writeIndex();
+  }
+
+  _scheduleSave(id) {
+    if (this.saveTimers.has(id)) {
+      return;
+    }
+    this.saveTimers.set(id, setTimeout(() => {
+      this.saveTimers.delete(id);
+      const conversation = this.active.get(id);
+      if (conversation) {
+        this._enqueue(() => this._writeConversation(conversation)).catch(() => {}); // Logged by _enqueue
+      }
+    }, SAVE_DEBOUNCE_MS));
+  }
+
+  _cancelSave(id) {
+    clearTimeout(this.saveTimers.get(id));
+    this.saveTimers.delete(id);
+  }
+
+  /**
+   * Starts recording a new conversation.
+   * @param {Object} params
+   * @param {Object} params.sessionOptions - Resolved options of the session (getSessionOptions())
+   * @returns {string} - Conversation id
+   */
+  startConversation({ sessionOptions }) {
+    const startedAt = Date.now();
+    const id = `${startedAt}-${Math.random().toString(36).substring(2, 8)}`;
+    this.active.set(id, {
+      id,
+      version: STORE_VERSION,
+      title: null, // Derived from the first user turn until renamed
+      startedAt,
+      endedAt: null,
+      durationMs: 0,
+      config: pickSessionConfig(sessionOptions),
+      turns: [],
+    });
+    log.info(`Started conversation ${id}`);
+    return id;
+  }
+
+  /**
+   * Replaces the turns of a conversation that is being recorded. Takes the
+   * transcript entries of the screen ({ id, type, text, isFinal, source, interrupted });
+   * entry ids are their creation timestamps. Saved after a short debounce.
+   * @param {string} id
+   * @param {Array<Object>} entries
+   */
+  updateTurns(id, entries) {
+    const conversation = this.active.get(id);
+    if (!conversation) {
+      return;
+    }
+
+    const previous = new Map(conversation.turns.map((turn) => [turn.id, turn]));
+    const now = Date.now();
+    conversation.turns = entries
+      .filter((entry) => entry.text && entry.text.trim())
+      .map((entry) => {
+        const known = previous.get(entry.id);
+        const unchanged = known && known.text === entry.text && known.interrupted === Boolean(entry.interrupted);
+        return {
+          id: entry.id,
+          speaker: entry.type,
+          text: entry.text,
+          source: entry.source || 'voice',
+          interrupted: Boolean(entry.interrupted),
+          startedAt: known ? known.startedAt : entry.id,
+          updatedAt: unchanged ? known.updatedAt : now,
+        };
+      });
+    conversation.endedAt = now;
+    conversation.durationMs = now - conversation.startedAt;
+    if (conversation.turns.length > 0) {
+      this._scheduleSave(id);
+    }
+  }
+
+  /**
+   * Stops recording and writes the conversation one last time.
+   * Conversations without any turns are not kept.
+   * @param {string} id
+   * @returns {Promise<Object|null>} - Summary of the saved conversation
+   */
+  async finishConversation(id) {
+    const conversation = this.active.get(id);
+    if (!conversation) {
+      return null;
+    }
+    this._cancelSave(id);
+
+    if (conversation.turns.length === 0) {
+      this.active.delete(id);
+      log.info(`Conversation ${id} has no turns, not saving`);
+      return null;
+    }
+
+    conversation.endedAt = Date.now();
+    conversation.durationMs = conversation.endedAt - conversation.startedAt;
+    try {
+      await this._enqueue(() => this._writeConversation(conversation));
+    } finally {
+      // Stays readable through getConversation() until it is on disk
+      this.active.delete(id);
+    }
+    log.info(`Saved conversation ${id} (${conversation.turns.length} turns)`);
+    return toSummary(conversation);
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} - Summaries, newest first
+   */
+  async listConversations() {
+    const index = await this._loadIndex();
+    return [...index].sort((a, b) => b.startedAt - a.startedAt);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object|null>} - The full conversation, or null if it doesn't exist
+   */
+  async getConversation(id) {
+    if (this.active.has(id)) {
+      return this.active.get(id);
+    }
+    const path = this._conversationPath(id);
+    const info = await FileSystem.getInfoAsync(path);
+    if (!info.exists) {
+      return null;
+    }
+    return JSON.parse(await FileSystem.readAsStringAsync(path));
+  }
+
+  /**
+   * Case-insensitive search over titles and turn text.
+   * @param {string} query
+   * @returns {Promise<Array<Object>>} - Matching summaries, newest first
+   */
+  async searchConversations(query) {
+    const summaries = await this.listConversations();
+    const needle = (query || '').trim().toLowerCase();
+    if (!needle) {
+      return summaries;
+    }
+
+    const matches = [];
+    for (const summary of summaries) {
+      if (summary.title.toLowerCase().includes(needle)) {
+        matches.push(summary);
+        continue;
+      }
+      const conversation = await this.getConversation(summary.id);
+      if (conversation?.turns.some((turn) => turn.text.toLowerCase().includes(needle))) {
+        matches.push(summary);
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} title - An empty title goes back to the derived one
+   */
+  async renameConversation(id, title) {
+    const trimmed = (title || '').trim();
+    await this._updateConversation(id, (conversation) => {
+      conversation.title = trimmed || null;
+    });
+  }
+
+  /**
+   * Links the audio recording of a conversation (see SessionRecorder).
+   * @param {string} id
+   * @param {Object} recording - { uri, startedAt, durationMs }
+   */
+  async attachRecording(id, { uri, startedAt, durationMs }) {
+    await this._updateConversation(id, (conversation) => {
+      conversation.recording = { uri, startedAt, durationMs };
+    });
+  }
+
+  /**
+   * Stores the token usage and estimated cost of a conversation.
+   * @param {string} id
+   * @param {Object} usage - UsageTracker summary (getUsage() of the session)
+   */
+  async attachUsage(id, usage) {
+    await this._updateConversation(id, (conversation) => {
+      conversation.usage = usage;
+    });
+  }
+
+  // Applies a change in memory while recording, otherwise to the saved file
+  async _updateConversation(id, update) {
+    const active = this.active.get(id);
+    if (active) {
+      update(active);
+      return;
+    }
+
+    await this._enqueue(async () => {
+      const conversation = await this.getConversation(id);
+      if (!conversation) {
+        throw new Error(`ConversationStore: Unknown conversation ${id}`);
+      }
+      update(conversation);
+      await this._writeConversation(conversation);
+    });
+  }
+
+  async deleteConversation(id) {
+    this._cancelSave(id);
+    this.active.delete(id);
+    await this._enqueue(async () => {
+      await this._loadIndex();
+      await FileSystem.deleteAsync(this._conversationPath(id), { idempotent: true });
+      this.index = this.index.filter((entry) => entry.id !== id);
+      await this._writeIndex();
+    });
+    log.info(`Deleted conversation ${id}`);
+  }
+}
+
+// Store used by the app's screens
+const defaultConversationStore = new ConversationStore();
+
+export default defaultConversationStore;
@@ -0,0 +1,220 @@
+// services/CredentialProvider.js
+// Rule I: Credential Provider - API key from secure storage or ephemeral tokens from the token server
+
+import * as SecureStore from 'expo-secure-store';
+import { CREDENTIAL_MODE, TOKEN_SERVER_URL, TOKEN_REFRESH_MARGIN_MS } from '../config';
+import { createLogger } from './Logger';
+
+const log = createLogger('CredentialProvider');
+
+export const CREDENTIAL_MODES = ['secureStore', 'ephemeralToken'];
+
+const API_KEY_STORAGE_KEY = 'gemini_api_key';
+
+/**
+ * Thrown when no credential can be produced. `code` is 'missing' (nothing
+ * configured, the user has to act) or 'unavailable' (e.g. the token server
+ * could not be reached; worth retrying).
+ */
+export class CredentialError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'CredentialError';
+    this.code = code;
+  }
+}
+
+// A credential is { type: 'apiKey' | 'token', value, expiresAt? }. Providers implement
+// getCredential() and stopRefresh(), called when no session needs them anymore.
+
+/**
+ * A Gemini API key the user entered in Settings, kept in the device keychain /
+ * keystore through expo-secure-store. Nothing is embedded in the bundle.
+ */
+export class SecureStoreKeyProvider {
+  constructor(storageKey = API_KEY_STORAGE_KEY) {
+    this.storageKey = storageKey;
+    this.cachedKey = undefined; // undefined until read, null if none is stored
+  }
+
+  async _readKey() {
+    if (this.cachedKey === undefined) {
+      this.cachedKey = (await SecureStore.getItemAsync(this.storageKey)) || null;
+    }
+    return this.cachedKey;
+  }
+
+  async getCredential() {
+    const key = await this._readKey();
+    if (!key) {
+      throw new CredentialError('No API key saved. Add one in Settings.', 'missing');
+    }
+    return { type: 'apiKey', value: key };
+  }
+
+  async hasApiKey() {
+    return !!(await this._readKey());
+  }
+
+  // The last four characters, for showing which key is saved
+  async getMaskedApiKey() {
+    const key = await this._readKey();
+    return key ? `••••${key.slice(-4)}` : null;
+  }
+
+  /**
+   * @param {string} apiKey
+   * @throws {Error} - For an empty key
+   */
+  async saveApiKey(apiKey) {
+    const trimmed = (apiKey || '').trim();
+    if (!trimmed) {
+      throw new Error('CredentialProvider: API key must not be empty');
+    }
+    await SecureStore.setItemAsync(this.storageKey, trimmed, {
+      keychainAccessible: SecureStore.WHEN_UNLOCKED_THIS_DEVICE_ONLY,
+    });
+    this.cachedKey = trimmed;
+    log.info('API key saved');
+  }
+
+  async clearApiKey() {
+    await SecureStore.deleteItemAsync(this.storageKey);
+    this.cachedKey = null;
+    log.info('API key removed');
+  }
+
+  stopRefresh() {}
+}
+
+/**
+ * Short-lived tokens minted by the companion token server (token-server/).
+ * A token is fetched ahead of time and replaced before it can no longer
+ * start a session, so connects and reconnects don't wait for the server.
+ */
+export class EphemeralTokenProvider {
+  /**
+   * @param {Object} [params]
+   * @param {string} [params.url] - Base URL of the token server
+   * @param {number} [params.refreshMarginMs] - Fetch a new token this long before the current one stops working
+   */
+  constructor({ url = TOKEN_SERVER_URL, refreshMarginMs = TOKEN_REFRESH_MARGIN_MS } = {}) {
+    this.url = url.replace(/\/$/, '');
+    this.refreshMarginMs = refreshMarginMs;
+    this.token = null; // { value, expiresAt, newSessionExpiresAt, usesLeft }
+    this.pendingFetch = null;
+    this.refreshTimer = null;
+    this.isRefreshing = false; // Between getCredential() and stopRefresh()
+  }
+
+  _isUsable(token) {
+    return !!token && token.usesLeft > 0 && Date.now() < token.newSessionExpiresAt - this.refreshMarginMs;
+  }
+
+  async getCredential() {
+    this.isRefreshing = true;
+    if (!this._isUsable(this.token)) {
+      this.token = await this._fetchToken();
+    }
+    const token = this.token;
+    token.usesLeft--;
+    if (token.usesLeft === 0) {
+      // Used up: have the next one ready for a reconnect
+      this.token = null;
+      this._prefetch();
+    }
+    return { type: 'token', value: token.value, expiresAt: token.expiresAt };
+  }
+
+  _prefetch() {
+    this._fetchToken()
+      .then((token) => {
+        this.token = token;
+      })
+      .catch(() => {}); // Logged by _fetchToken; getCredential() tries again
+  }
+
+  // One request at a time; concurrent callers share it
+  _fetchToken() {
+    if (!this.pendingFetch) {
+      this.pendingFetch = this._requestToken().finally(() => {
+        this.pendingFetch = null;
+      });
+    }
+    return this.pendingFetch;
+  }
+
+  async _requestToken() {
+    let response;
+    try {
+      response = await fetch(`${this.url}/token`, { method: 'POST' });
+    } catch (error) {
+      log.error('Token server unreachable:', error);
+      throw new CredentialError('Could not reach the token server.', 'unavailable');
+    }
+    if (!response.ok) {
+      log.error(`Token server answered HTTP ${response.status}`);
+      throw new CredentialError(`Token server error (HTTP ${response.status}).`, 'unavailable');
+    }
+
+    // A proxy or captive portal can answer 200 with an HTML page
+    let body;
+    try {
+      body = await response.json();
+    } catch (error) {
+      log.error('Token server response is not JSON:', error);
+      throw new CredentialError('Token server sent an invalid response.', 'unavailable');
+    }
+    if (typeof body?.token !== 'string' || !body.expireTime) {
+      log.error('Token server response has no token or expireTime');
+      throw new CredentialError('Token server sent an invalid response.', 'unavailable');
+    }
+    const expiresAt = Date.parse(body.expireTime);
+    const token = {
+      value: body.token,
+      expiresAt,
+      newSessionExpiresAt: body.newSessionExpireTime ? Date.parse(body.newSessionExpireTime) : expiresAt,
+      usesLeft: body.uses || 1,
+    };
+    log.info(`Fetched a token valid for new sessions until ${new Date(token.newSessionExpiresAt).toISOString()}`);
+    this._scheduleRefresh(token);
+    return token;
+  }
+
+  _scheduleRefresh(token) {
+    clearTimeout(this.refreshTimer);
+    if (!this.isRefreshing) {
+      return;
+    }
+    const delay = Math.max(0, token.newSessionExpiresAt - this.refreshMarginMs - Date.now());
+    this.refreshTimer = setTimeout(() => {
+      this.refreshTimer = null;
+      this._prefetch();
+    }, delay);
+  }
+
+  // Stops the background refresh; the next getCredential() fetches a token again if needed
+  stopRefresh() {
+    this.isRefreshing = false;
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+}
+
+/**
+ * @param {string} [mode] - One of CREDENTIAL_MODES
+ */
+export const createCredentialProvider = (mode = CREDENTIAL_MODE) => {
+  if (!CREDENTIAL_MODES.includes(mode)) {
+    throw new Error(`CredentialProvider: mode must be one of ${CREDENTIAL_MODES.join(', ')}`);
+  }
+  return mode === 'ephemeralToken' ? new EphemeralTokenProvider() : new SecureStoreKeyProvider();
+};
+
+// Key store behind the Settings screen; also the app's provider in 'secureStore' mode
+export const apiKeyStore = new SecureStoreKeyProvider();
+
+// Provider used by the app's default session
+const defaultCredentialProvider = CREDENTIAL_MODE === 'ephemeralToken' ? new EphemeralTokenProvider() : apiKeyStore;
+
+export default defaultCredentialProvider;
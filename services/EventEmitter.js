@@ -0,0 +1,101 @@
+// services/EventEmitter.js
+// Rule II: Event Emitter - minimal multi-listener event emitter used by the session services
+
+import { createLogger } from './Logger';
+
+const log = createLogger('EventEmitter');
+
+class EventEmitter {
+  /**
+   * @param {Array<string>} [allowedEvents] - If given, subscribing to any other event name throws
+   */
+  constructor(allowedEvents = null) {
+    this.allowedEvents = allowedEvents ? new Set(allowedEvents) : null;
+    this.listeners = new Map(); // event -> Set of handlers
+  }
+
+  _assertKnownEvent(event) {
+    if (this.allowedEvents && !this.allowedEvents.has(event)) {
+      throw new Error(`EventEmitter: Unknown event "${event}"`);
+    }
+  }
+
+  /**
+   * Subscribes to an event.
+   * @param {string} event
+   * @param {Function} handler
+   * @returns {Function} - Unsubscribe function
+   */
+  on(event, handler) {
+    this._assertKnownEvent(event);
+    if (typeof handler !== 'function') {
+      throw new Error(`EventEmitter: Handler for "${event}" must be a function`);
+    }
+
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(handler);
+    return () => this.off(event, handler);
+  }
+
+  // Like on(), but the handler is removed after its first call
+  once(event, handler) {
+    const wrapper = (...args) => {
+      unsubscribe();
+      handler(...args);
+    };
+    wrapper.listener = handler; // So off(event, handler) finds it
+    const unsubscribe = this.on(event, wrapper);
+    return unsubscribe;
+  }
+
+  /**
+   * Removes listeners.
+   * off(event, handler) removes one handler, off(event) every handler of an event,
+   * off() every handler of every event.
+   */
+  off(event, handler) {
+    if (event === undefined) {
+      this.listeners.clear();
+      return;
+    }
+    if (handler === undefined) {
+      this.listeners.delete(event);
+      return;
+    }
+    const handlers = this.listeners.get(event);
+    if (!handlers) {
+      return;
+    }
+    handlers.forEach((registered) => {
+      if (registered === handler || registered.listener === handler) {
+        handlers.delete(registered);
+      }
+    });
+  }
+
+  // Calls every handler; a throwing handler is logged and does not stop the others
+  emit(event, ...args) {
+    const handlers = this.listeners.get(event);
+    if (!handlers || handlers.size === 0) {
+      return false;
+    }
+
+    // Copy so handlers can unsubscribe while we iterate
+    Array.from(handlers).forEach((handler) => {
+      try {
+        handler(...args);
+      } catch (error) {
+        log.error(`Listener for "${event}" threw:`, error);
+      }
+    });
+    return true;
+  }
+
+  listenerCount(event) {
+    return this.listeners.get(event)?.size || 0;
+  }
+}
+
+export default EventEmitter;
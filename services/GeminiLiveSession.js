@@ -0,0 +1,928 @@
+// services/GeminiLiveSession.js
+// Rule II: Gemini Live Session - one BidiGenerateContent conversation and its audio pipelines
+
+import {
+  AUDIO_SAMPLE_RATE,
+  RECONNECT_MAX_ATTEMPTS,
+  RECONNECT_BASE_DELAY_MS,
+  RECONNECT_MAX_DELAY_MS,
+} from '../config';
+import { Buffer } from 'buffer'; // For binary data conversion
+import defaultToolRegistry, { ToolRegistry } from './ToolRegistry';
+import {
+  resolveSessionOptions,
+  validateSessionOptions,
+  buildSetupConfig,
+  buildEndpointUrl,
+  buildAuthenticatedUrl,
+} from './SessionOptions';
+import AudioInputPipeline from './AudioInputPipeline';
+import AudioOutputPipeline from './AudioOutputPipeline';
+import EventEmitter from './EventEmitter';
+import {
+  ProtocolError,
+  parseServerMessage,
+  buildSetupMessage,
+  buildAudioMessage,
+  buildAudioStreamEndMessage,
+  buildActivityStartMessage,
+  buildActivityEndMessage,
+  buildTextMessage,
+  buildToolResponseMessage,
+} from './LiveProtocol';
+import TrafficRecorder from './TrafficRecorder';
+import LatencyMetrics from './LatencyMetrics';
+import UsageTracker, { formatCostUsd } from './UsageTracker';
+import ConnectionStateMachine, { SETUP_COMPLETE_STATES } from './ConnectionStateMachine';
+import defaultCredentialProvider from './CredentialProvider';
+import { createLogger } from './Logger';
+
+const log = createLogger('GeminiLiveSession');
+const audioSendLog = log.throttle('audioSend', 5000); // Once per microphone frame otherwise
+const serverContentLog = log.throttle('serverContent', 1000);
+
+// Real network sockets; replaced by ReplayTransport to play back a cassette
+const defaultCreateSocket = (url) => new WebSocket(url);
+
+// Size of an incoming frame as it came over the wire
+const frameByteLength = (data) => {
+  if (typeof data === 'string') {
+    return Buffer.byteLength(data);
+  }
+  if (typeof Blob !== 'undefined' && data instanceof Blob) {
+    return data.size;
+  }
+  return data?.byteLength || 0;
+};
+
+/**
+ * Events emitted by a session:
+ * - stateChange ({ from, to, cause, at }) - every connection state transition, see ConnectionStateMachine.js
+ * - status (status: 'connected' | 'reconnecting' | 'disconnected' | 'error') - coarse view of stateChange for existing listeners
+ * - setupComplete ()
+ * - transcript ({ text, isFinal, type: 'user' | 'model', source?: 'text' }) - source is 'text' for typed user turns
+ * - audio ({ type: 'audio', data: ArrayBuffer, mimeType })
+ * - interrupted ()
+ * - turnComplete ()
+ * - toolCall ({ functionCalls: [{ id, name, args }] })
+ * - usage (usageMetadata from the server)
+ * - budget ({ level: 'soft' | 'hard', costUsd, limitUsd }) - estimated cost reached options.budget; 'hard' ends the session
+ * - voiceActivity ({ speaking: boolean }) - local VAD, only when vad.mode is 'local' or 'client'
+ * - inputState ({ state, reason }) - see INPUT_STATES in AudioInputPipeline.js
+ * - protocolError ({ message, raw }) - a frame that isn't a valid server message; the session carries on
+ * - error (message: string)
+ */
+export const SESSION_EVENTS = [
+  'stateChange',
+  'status',
+  'setupComplete',
+  'transcript',
+  'audio',
+  'interrupted',
+  'turnComplete',
+  'toolCall',
+  'usage',
+  'budget',
+  'voiceActivity',
+  'inputState',
+  'protocolError',
+  'error',
+];
+
+// Legacy status emitted when entering these connection states
+const LEGACY_STATUS = {
+  'awaiting-setup': 'connected',
+  reconnecting: 'reconnecting',
+  idle: 'disconnected',
+  failed: 'error',
+};
+
+/**
+ * A single Gemini Live session. It owns its socket, counters, callbacks,
+ * tool registry and audio pipelines, so several sessions can run side by side
+ * and a fresh instance always starts from a clean state.
+ */
+class GeminiLiveSession extends EventEmitter {
+  /**
+   * @param {Object} [params]
+   * @param {ToolRegistry} [params.toolRegistry] - Tools this session may call; a new empty registry by default
+   * @param {Function} [params.createSocket] - (url) => WebSocket-like object; see ReplayTransport.js.
+   *   Factories with requiresCredential === false are opened without asking for a credential.
+   * @param {Object|null} [params.credentialProvider] - See CredentialProvider.js; the app's provider by default,
+   *   null to connect without credentials (e.g. to the mock server)
+   */
+  constructor({ toolRegistry, createSocket, credentialProvider } = {}) {
+    super(SESSION_EVENTS);
+    this.ws = null;
+    this.openAttempt = 0; // Bumped by every _openSocket() and disconnect(), so a late credential is dropped
+    this.createSocket = createSocket || defaultCreateSocket;
+    this.credentialProvider = credentialProvider === undefined ? defaultCredentialProvider : credentialProvider;
+    this.trafficRecorder = null; // Set while a traffic capture is running
+    this.closingSocket = null; // Socket shut down by disconnect() until its close event arrives
+
+    // Connection lifecycle; isSetupComplete() and the status event are derived from it
+    this.connection = new ConnectionStateMachine();
+    this.connection.on('stateChange', (change) => this._handleStateChange(change));
+    this.audioChunkCounter = 0; // Keep track of chunks sent
+    this.sessionOptions = resolveSessionOptions(); // Options of the current session, reused on reconnect
+
+    // Session resumption / reconnect state
+    this.sessionResumptionHandle = null; // Latest resumable handle from sessionResumptionUpdate
+    this.reconnectAttempts = 0; // Consecutive reconnect attempts since the last successful setup
+    this.reconnectTimer = null;
+    this.isIntentionalClose = false; // Set by disconnect() so onclose doesn't try to reconnect
+    this.hasCompletedSetup = false; // Only reconnect sessions that were actually established
+
+    // Debug counters (previously window._* globals)
+    this.stats = {
+      messagesReceived: 0,
+      binaryMessageTypes: {},
+      binaryMessageCount: 0,
+      receivedMessageTypes: {},
+      bytesSent: 0,
+      bytesReceived: 0,
+    };
+
+    // Unsubscribe functions of the legacy single-slot setOn*Callback listeners, keyed by event
+    this.callbackSlots = {};
+
+    this.toolRegistry = toolRegistry || new ToolRegistry();
+    this.audioInput = new AudioInputPipeline({ session: this });
+    this.audioOutput = new AudioOutputPipeline();
+
+    // Latency and traffic per conversation, reset by connect(); see getMetrics()
+    this.metrics = new LatencyMetrics({ session: this });
+    this.metrics.start();
+
+    // Tokens and estimated cost per conversation, reset by connect(); see getUsage()
+    this.usage = new UsageTracker({
+      session: this,
+      onBudgetExceeded: (event) => this._handleBudgetExceeded(event),
+    });
+    this.usage.start();
+  }
+
+  /**
+   * Starts a new Gemini Live session.
+   * @param {Object} [options] - Session options, see DEFAULT_SESSION_OPTIONS in SessionOptions.js
+   * @param {Object} [options.endpoint] - { scheme: 'wss' | 'ws', host, path }, e.g. to use the mock server
+   * @param {string} [options.model] - Model resource name, defaults to MODEL_NAME
+   * @param {string} [options.systemInstruction] - Persona / instructions for the model
+   * @param {Object} [options.speechConfig] - { voiceName, languageCode }
+   * @param {Array<string>} [options.responseModalities] - ['AUDIO'] or ['TEXT']
+   * @param {number} [options.temperature]
+   * @param {number} [options.topP]
+   * @param {number} [options.maxOutputTokens]
+   * @param {boolean} [options.inputAudioTranscription] - Transcribe user speech
+   * @param {boolean} [options.outputAudioTranscription] - Transcribe model speech
+   * @param {string} [options.conversationMode] - 'always-on' or 'push-to-talk'
+   * @param {string} [options.muteBufferPolicy] - 'flush' or 'drop' unsent frames when muting
+   * @param {Object} [options.vad] - { mode: 'server' | 'local' | 'client', ...thresholds }, see VoiceActivityDetector.js
+   * @param {Object} [options.budget] - { softLimitUsd, hardLimitUsd } estimated cost limits, see UsageTracker.js
+   * @returns {boolean} - false if the options were rejected or a session is already running
+   */
+  connect(options = {}) {
+    if (!this.connection.canTransition('connecting')) {
+      log.info(`Cannot connect while ${this.connection.state}`);
+      return false;
+    }
+
+    const resolvedOptions = resolveSessionOptions(options);
+    const optionErrors = validateSessionOptions(resolvedOptions);
+    if (optionErrors.length > 0) {
+      log.error(`Invalid session options: ${optionErrors.join('; ')}`);
+      this.emit('error', `Invalid session options: ${optionErrors.join('; ')}`);
+      return false;
+    }
+    this.sessionOptions = resolvedOptions;
+
+    // A user-initiated connect always starts a brand new conversation
+    this._clearReconnectTimer();
+    this.isIntentionalClose = false;
+    this.hasCompletedSetup = false;
+    this.reconnectAttempts = 0;
+    this.sessionResumptionHandle = null;
+    this.closingSocket = null; // Its late close event must not end the new session
+    this.metrics.reset();
+    this.usage.reset();
+
+    this.connection.transition('connecting', 'connect');
+    this._openSocket();
+    return true;
+  }
+
+  _handleStateChange(change) {
+    this.emit('stateChange', change);
+    if (LEGACY_STATUS[change.to]) {
+      this.emit('status', LEGACY_STATUS[change.to]);
+    }
+  }
+
+  /**
+   * Opens a WebSocket and wires up its handlers.
+   * Used both for the initial connection and for reconnects; when a session
+   * resumption handle is known it is sent in the setup message so the server
+   * continues the same conversation.
+   */
+  async _openSocket() {
+    const attempt = ++this.openAttempt;
+
+    // Tokens are fetched per connection, so reconnects pick up a fresh one
+    let credential = null;
+    if (this.credentialProvider && this.createSocket.requiresCredential !== false) {
+      try {
+        credential = await this.credentialProvider.getCredential();
+      } catch (error) {
+        if (attempt === this.openAttempt) {
+          this._handleCredentialError(error);
+        }
+        return;
+      }
+      // disconnect() or another connect() happened while waiting
+      if (attempt !== this.openAttempt) {
+        return;
+      }
+    }
+
+    const url = buildAuthenticatedUrl(this.sessionOptions, credential);
+    log.info('Connecting to WebSocket:', url);
+    const ws = this.trafficRecorder
+      ? this.trafficRecorder.wrapSocketFactory(this.createSocket)(url)
+      : this.createSocket(url);
+    this.ws = ws;
+    this.audioChunkCounter = 0; // Reset counter on new connection
+
+    ws.onopen = () => {
+      log.info('WebSocket connected');
+      this._sendInitialSetup();
+      this.connection.transition('awaiting-setup', 'socketOpen');
+    };
+
+    ws.onclose = (event) => this._handleClose(event);
+
+    ws.onerror = (error) => {
+      log.error('WebSocket error:', error);
+      // A close event always follows; if it will be retried, don't surface the error to the UI
+      if (this._canReconnect()) {
+        return;
+      }
+      this._fail('socketError', error.message || 'WebSocket error');
+    };
+
+    ws.onmessage = (event) => this._handleSocketMessage(event);
+  }
+
+  _handleCredentialError(error) {
+    log.error('Could not get a credential:', error.message);
+    // The token server may be back by the next attempt; a missing key won't be
+    if (error.code === 'unavailable' && this._canReconnect()) {
+      this._scheduleReconnect('credentialUnavailable');
+      return;
+    }
+    this._fail('credentialError', error.message);
+  }
+
+  // Only the current socket's close gets here; disconnect() and _reconnectNow() detach the old one
+  _handleClose(event) {
+    log.info('WebSocket disconnected:', event.code, event.reason);
+    this.ws = null;
+
+    if (this._canReconnect()) {
+      this._scheduleReconnect('socketClosed');
+      return;
+    }
+
+    if (this.hasCompletedSetup) {
+      log.error(`Giving up after ${this.reconnectAttempts} reconnect attempts`);
+      this._fail('reconnectFailed', 'Connection lost. Unable to reconnect.');
+    } else {
+      this._fail('socketClosed', `Connection closed before setup completed${event.reason ? `: ${event.reason}` : '.'}`);
+    }
+  }
+
+  // Ends the session for good: drops the socket, then reports why
+  _fail(cause, message) {
+    this._clearReconnectTimer();
+    this.credentialProvider?.stopRefresh();
+    if (this.ws) {
+      const socket = this.ws;
+      this.ws = null;
+      this._detachSocket(socket);
+      try {
+        socket.close();
+      } catch (error) {
+        log.warn('Error closing failed socket:', error);
+      }
+    }
+    this.connection.transition('failed', cause);
+    this.emit('error', message);
+  }
+
+  _detachSocket(socket) {
+    socket.onopen = null;
+    socket.onclose = null;
+    socket.onerror = null;
+    socket.onmessage = null;
+  }
+
+  _handleSocketMessage(event) {
+    this.stats.messagesReceived++;
+    this.stats.bytesReceived += frameByteLength(event.data);
+
+    // Text and binary frames both carry UTF-8 JSON; Blobs are read into an ArrayBuffer first
+    if (typeof Blob !== 'undefined' && event.data instanceof Blob) {
+      this._countBinaryFrame('Blob');
+      const reader = new FileReader();
+      reader.onload = () => this._handleFrame(reader.result);
+      reader.onerror = () => {
+        log.error('Error reading Blob frame:', reader.error);
+      };
+      reader.readAsArrayBuffer(event.data);
+      return;
+    }
+
+    if (event.data instanceof ArrayBuffer) {
+      this._countBinaryFrame('ArrayBuffer');
+    }
+    this._handleFrame(event.data);
+  }
+
+  _countBinaryFrame(dataType) {
+    this.stats.binaryMessageTypes[dataType] = (this.stats.binaryMessageTypes[dataType] || 0) + 1;
+    this.stats.binaryMessageCount++;
+  }
+
+  // Parses one frame and dispatches it; malformed frames are reported, never guessed at
+  _handleFrame(data) {
+    let message;
+    try {
+      message = parseServerMessage(data);
+    } catch (error) {
+      if (!(error instanceof ProtocolError)) {
+        throw error;
+      }
+      log.error(`Protocol error: ${error.message} | Raw: ${error.raw}`);
+      this.stats.receivedMessageTypes.invalid = (this.stats.receivedMessageTypes.invalid || 0) + 1;
+      this.emit('protocolError', { message: error.message, raw: error.raw });
+      return;
+    }
+
+    try {
+      this.handleReceivedMessage(message);
+    } catch (error) {
+      log.error('Error in WebSocket onmessage handler:', error);
+      this.emit('error', 'Error processing server message');
+    }
+  }
+
+  disconnect() {
+    this.metrics.logSummary();
+    this.usage.logSummary();
+    this.toolRegistry.cancelAllCalls();
+    this.isIntentionalClose = true;
+    this.openAttempt++;
+    this.credentialProvider?.stopRefresh();
+    this._clearReconnectTimer();
+    this.sessionResumptionHandle = null;
+    this.reconnectAttempts = 0;
+
+    if (this.ws) {
+      log.info('Disconnecting WebSocket...');
+      const socket = this.ws;
+      this.ws = null;
+      this._detachSocket(socket);
+      this.closingSocket = socket;
+      this.connection.transition('closing', 'disconnect');
+      // A new connect() may be under way by the time this socket has closed
+      socket.onclose = () => {
+        if (this.closingSocket === socket) {
+          this.closingSocket = null;
+          this.connection.transition('idle', 'socketClosed');
+        }
+      };
+      socket.close();
+    } else if (this.connection.canTransition('idle')) {
+      this.closingSocket = null;
+      this.connection.transition('idle', 'disconnect');
+    }
+  }
+
+  // Disconnects and releases both audio pipelines; the instance should not be reused afterwards
+  async dispose() {
+    this.disconnect();
+    this.metrics.stop();
+    this.usage.stop();
+    await this.audioInput.cleanupResources();
+    await this.audioOutput.dispose();
+  }
+
+  // --- Traffic Capture / Replay --- START ---
+
+  /**
+   * Sets how the next sockets are created, e.g. a ReplayTransport factory.
+   * Takes effect on the next connect or reconnect.
+   * @param {Function|null} createSocket - (url) => WebSocket-like object; null for real WebSockets
+   */
+  setSocketFactory(createSocket) {
+    this.createSocket = createSocket || defaultCreateSocket;
+  }
+
+  /**
+   * @param {Object|null} credentialProvider - See CredentialProvider.js; null to connect without credentials
+   */
+  setCredentialProvider(credentialProvider) {
+    this.credentialProvider?.stopRefresh();
+    this.credentialProvider = credentialProvider;
+  }
+
+  /**
+   * Starts recording every frame into a cassette (see TrafficRecorder.js).
+   * An already open socket is captured from now on; reconnects are captured too.
+   * @param {Object} [options] - See DEFAULT_CAPTURE_OPTIONS in TrafficRecorder.js
+   * @returns {boolean} - false if a capture is already running
+   */
+  startTrafficCapture(options = {}) {
+    if (this.trafficRecorder) {
+      log.warn('Traffic capture already running');
+      return false;
+    }
+    this.trafficRecorder = new TrafficRecorder(options);
+    this.trafficRecorder.start({ model: this.sessionOptions.model });
+    if (this.ws) {
+      this.trafficRecorder.attach(this.ws, this.ws.url || buildEndpointUrl(this.sessionOptions));
+    }
+    return true;
+  }
+
+  /**
+   * Stops the capture and saves the cassette.
+   * @returns {Promise<Object|null>} - { uri, entries, bytes, truncated }, null if nothing was captured
+   */
+  async stopTrafficCapture() {
+    const recorder = this.trafficRecorder;
+    this.trafficRecorder = null;
+    return recorder ? recorder.save() : null;
+  }
+
+  // --- Traffic Capture / Replay --- END ---
+
+  // --- Reconnect Helpers --- START ---
+
+  _clearReconnectTimer() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  // Only sessions that completed setup are retried, so a bad key or model name fails fast
+  _canReconnect() {
+    return !this.isIntentionalClose && this.hasCompletedSetup && this.reconnectAttempts < RECONNECT_MAX_ATTEMPTS;
+  }
+
+  /**
+   * Schedules a reconnect with exponential backoff (plus a little jitter so
+   * many clients dropped by the same network blip don't retry in lockstep).
+   * @param {string} cause - Reported with the transition to 'reconnecting'
+   */
+  _scheduleReconnect(cause) {
+    this._clearReconnectTimer();
+
+    const backoff = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** this.reconnectAttempts);
+    const delay = Math.round(backoff * (0.8 + Math.random() * 0.4));
+    this.reconnectAttempts++;
+
+    log.info(`Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts}/${RECONNECT_MAX_ATTEMPTS}, resumable: ${!!this.sessionResumptionHandle})`);
+    // A failed attempt schedules the next one without leaving 'reconnecting'
+    if (!this.connection.is('reconnecting')) {
+      this.connection.transition('reconnecting', cause);
+    }
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.isIntentionalClose) {
+        return;
+      }
+      this._openSocket();
+    }, delay);
+  }
+
+  /**
+   * Replaces the current socket right away, e.g. when the server announces it
+   * is about to close the connection. The old socket's handlers are detached
+   * so its close event doesn't trigger a second reconnect.
+   */
+  _reconnectNow(reason) {
+    log.info(`Reconnecting immediately (${reason})`);
+    this._clearReconnectTimer();
+
+    if (this.ws) {
+      const oldSocket = this.ws;
+      this._detachSocket(oldSocket);
+      this.ws = null;
+      try {
+        oldSocket.close();
+      } catch (error) {
+        log.warn('Error closing replaced socket:', error);
+      }
+    }
+
+    this.connection.transition('reconnecting', reason);
+    this._openSocket();
+  }
+
+  // --- Reconnect Helpers --- END ---
+
+  _sendInitialSetup() {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      log.error('Cannot send setup - WebSocket not connected');
+      return false;
+    }
+
+    try {
+      // Create the setup message from the validated session options (model, persona, voice, generation config)
+      const setupMessage = buildSetupMessage({
+        ...buildSetupConfig(this.sessionOptions),
+        // Ask the server for resumption handles; pass the last one back when reconnecting
+        sessionResumption: this.sessionResumptionHandle ? { handle: this.sessionResumptionHandle } : {},
+      });
+
+      // Declare locally registered functions so the model can call them
+      if (this.toolRegistry.hasTools()) {
+        setupMessage.setup.tools = [
+          { functionDeclarations: this.toolRegistry.getFunctionDeclarations() },
+        ];
+      }
+
+      log.info(`Sending initial setup (model: ${this.sessionOptions.model})`);
+      log.debug('Setup message:', setupMessage);
+
+      // Send the setup message as a JSON string
+      this._send(JSON.stringify(setupMessage));
+      return true;
+    } catch (error) {
+      log.error('Error sending initial setup:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Sends a typed user turn as clientContent. Works alongside the microphone stream;
+   * the typed text is echoed as a final 'user' transcript so it shows up in the history.
+   * @param {string} text
+   * @returns {boolean} - false if the session isn't ready or the text is empty
+   */
+  sendTextInput(text) {
+    const trimmed = typeof text === 'string' ? text.trim() : '';
+    if (!trimmed) {
+      return false;
+    }
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN || !this.isSetupComplete()) {
+      log.error('Cannot send text input - session not ready');
+      return false;
+    }
+
+    const textMessage = JSON.stringify(buildTextMessage(trimmed));
+    log.debug('Sending text input:', textMessage);
+    this._send(textMessage);
+    this.emit('transcript', { text: trimmed, isFinal: true, type: 'user', source: 'text' });
+    return true;
+  }
+
+  /**
+   * Sends audio data to the WebSocket as a realtimeInput message with Base64 encoded PCM.
+   * The audio data must be 16-bit PCM at 16kHz, mono, little-endian
+   * @param {ArrayBuffer} audioBytes - Raw audio bytes
+   */
+  sendAudioChunk(audioBytes) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      audioSendLog.warn('Cannot send audio - WebSocket not open');
+      return;
+    }
+    // The server drops input sent before setupComplete; the input pipeline buffers it until then
+    if (!this.isSetupComplete()) {
+      audioSendLog.warn(`Cannot send audio - session is ${this.connection.state}`);
+      return;
+    }
+
+    // Ensure we have ArrayBuffer
+    if (!(audioBytes instanceof ArrayBuffer)) {
+      log.error('sendAudioChunk requires ArrayBuffer, received:', typeof audioBytes);
+      return; // Stop if not ArrayBuffer
+    }
+
+    try {
+      // realtimeInput message with Base64 encoded audio and an explicit sample rate
+      const message = buildAudioMessage(audioBytes, AUDIO_SAMPLE_RATE);
+
+      // Increment the counter before sending
+      this.audioChunkCounter++;
+
+      // Send the complete JSON message
+      this._send(JSON.stringify(message));
+      if (this.connection.is('ready')) {
+        this.connection.transition('streaming', 'audioSent');
+      }
+    } catch (error) {
+      audioSendLog.error(`Error processing or sending audio chunk #${this.audioChunkCounter}:`, error);
+      this.emit('error', 'Error sending audio data');
+    }
+  }
+
+  // Tells the server the microphone stream paused, so it can flush buffered audio and respond
+  sendAudioStreamEnd() {
+    const sent = this._sendRealtimeSignal('audioStreamEnd', buildAudioStreamEndMessage());
+    if (sent) {
+      this._endStreaming('audioStreamEnd');
+    }
+    return sent;
+  }
+
+  // Marks the start of user speech; only valid when automatic activity detection is disabled (vad.mode 'client' or push-to-talk)
+  sendActivityStart() {
+    return this._sendRealtimeSignal('activityStart', buildActivityStartMessage());
+  }
+
+  // Marks the end of user speech, so the model starts responding
+  sendActivityEnd() {
+    const sent = this._sendRealtimeSignal('activityEnd', buildActivityEndMessage());
+    if (sent) {
+      this._endStreaming('activityEnd');
+    }
+    return sent;
+  }
+
+  // The user's audio paused; the next chunk sent streams again
+  _endStreaming(cause) {
+    if (this.connection.is('streaming')) {
+      this.connection.transition('ready', cause);
+    }
+  }
+
+  // Every outgoing message goes through here so the byte counters stay complete
+  _send(data) {
+    this.ws.send(data);
+    this.stats.bytesSent += Buffer.byteLength(data);
+  }
+
+  _sendRealtimeSignal(name, message) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      log.warn(`Cannot send ${name} - WebSocket not open`);
+      return false;
+    }
+
+    log.info(`Sending ${name}`);
+    this._send(JSON.stringify(message));
+    return true;
+  }
+
+  /**
+   * Sends the results of one or more function calls back to the model.
+   * @param {Array<Object>} functionResponses - [{ id, name, response }]
+   */
+  sendToolResponse(functionResponses) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      log.warn('Cannot send tool response - WebSocket not open');
+      return false;
+    }
+
+    const message = buildToolResponseMessage(functionResponses);
+    log.info(`Sending tool response for ${functionResponses.map((r) => r.name).join(', ')}`);
+    this._send(JSON.stringify(message));
+    return true;
+  }
+
+  // Runs every function call in a toolCall message and answers each one as soon as it finishes
+  _handleToolCall(functionCalls) {
+    log.info(`Model requested ${functionCalls.length} tool call(s): ${functionCalls.map((c) => c.name).join(', ')}`);
+    this.emit('toolCall', { functionCalls });
+
+    functionCalls.forEach(async (functionCall) => {
+      const functionResponse = await this.toolRegistry.executeFunctionCall(functionCall);
+      // null means the call was cancelled; the server no longer expects an answer
+      if (functionResponse) {
+        this.sendToolResponse([functionResponse]);
+      }
+    });
+  }
+
+  /**
+   * Dispatches a parsed server message.
+   * @param {Object} message - Output of parseServerMessage
+   */
+  handleReceivedMessage(message) {
+    const receivedTypes = this.stats.receivedMessageTypes;
+    receivedTypes[message.type] = (receivedTypes[message.type] || 0) + 1;
+
+    // Token accounting can ride along with any other message type
+    if (message.usageMetadata) {
+      this.emit('usage', message.usageMetadata);
+      // The hard budget limit may have ended the session
+      if (this.connection.is('closing', 'idle')) {
+        return;
+      }
+    }
+
+    switch (message.type) {
+      case 'setupComplete':
+        log.info('Received setup completion acknowledgment. Ready for audio exchange.');
+        this.hasCompletedSetup = true;
+        this.reconnectAttempts = 0; // Connection is healthy again
+        this.connection.transition('ready', 'setupComplete');
+        this.audioInput.sendBufferedAudio(); // Replay speech captured while connecting
+        this.emit('setupComplete');
+        break;
+
+      case 'sessionResumptionUpdate':
+        // Track the latest resumption handle so a reconnect can continue this session
+        if (message.resumable && message.newHandle) {
+          this.sessionResumptionHandle = message.newHandle;
+          log.debug('Session resumption handle updated');
+        } else {
+          log.debug('Session currently not resumable, keeping previous handle');
+        }
+        break;
+
+      case 'toolCall':
+        // Function calling: run the matching local tools and reply with a toolResponse
+        this._handleToolCall(message.functionCalls);
+        break;
+
+      case 'toolCallCancellation':
+        log.info(`Tool calls cancelled by server: ${message.ids.join(', ')}`);
+        this.toolRegistry.cancelCalls(message.ids);
+        break;
+
+      case 'goAway':
+        // The server is about to close this connection; move to a fresh one while we still can
+        log.info(`Received goAway, time left: ${message.timeLeft}`);
+        if (!this.isIntentionalClose && this.sessionResumptionHandle) {
+          this._reconnectNow('goAway');
+        }
+        break;
+
+      case 'serverContent':
+        serverContentLog.debug('Parsed serverContent:', message);
+        this._handleServerContent(message);
+        break;
+
+      case 'error':
+        log.error(`Received error message from server: ${message.message}`);
+        this.emit('error', message.message);
+        break;
+
+      default:
+        // usageMetadata on its own was already emitted above
+        break;
+    }
+  }
+
+  _handleBudgetExceeded(event) {
+    this.emit('budget', event);
+    if (event.level === 'hard') {
+      log.warn(`Ending the session: estimated cost ${formatCostUsd(event.costUsd)} reached the limit of ${formatCostUsd(event.limitUsd)}`);
+      this.disconnect();
+    }
+  }
+
+  _handleServerContent(content) {
+    // The user's speech; `finished` marks the end of the transcription of one utterance
+    if (content.inputTranscription?.text) {
+      const { text, finished } = content.inputTranscription;
+      log.debug(`Input transcript: "${text}" (Final: ${finished})`);
+      this.emit('transcript', { text, isFinal: finished, type: 'user' });
+    }
+
+    // The model's speech
+    if (content.outputTranscription?.text) {
+      const { text, finished } = content.outputTranscription;
+      log.debug(`Output transcript: "${text}" (Final: ${finished})`);
+      this.emit('transcript', { text, isFinal: finished, type: 'model' });
+    }
+
+    content.parts.forEach((part) => this._handleModelTurnPart(part));
+
+    if (content.interrupted) {
+      log.info('Server interruption detected.');
+      this.audioInput.notifyModelTurnEnded('interrupted');
+      this._endModelTurn('interrupted');
+      this.emit('interrupted');
+    }
+
+    if (content.turnComplete) {
+      log.info('Server turn complete.');
+      this.audioOutput.markResponseComplete(); // Next audio chunk starts a new response
+      this.audioInput.notifyModelTurnEnded('turnComplete');
+      this._endModelTurn('turnComplete');
+      this.emit('turnComplete');
+    }
+  }
+
+  _startModelTurn(cause) {
+    if (this.connection.is('ready', 'streaming')) {
+      this.connection.transition('model-speaking', cause);
+    }
+  }
+
+  _endModelTurn(cause) {
+    if (this.connection.is('model-speaking')) {
+      this.connection.transition('ready', cause);
+    }
+  }
+
+  _handleModelTurnPart(part) {
+    switch (part.kind) {
+      case 'audio': {
+        // Decode the Base64 string into an ArrayBuffer
+        const audioBuffer = Buffer.from(part.data, 'base64');
+        const arrayBuffer = audioBuffer.buffer.slice(audioBuffer.byteOffset, audioBuffer.byteOffset + audioBuffer.byteLength);
+        this.audioInput.notifyModelResponding();
+        this._startModelTurn('modelAudio');
+        this.emit('audio', { type: 'audio', data: arrayBuffer, mimeType: part.mimeType });
+        break;
+      }
+      case 'text':
+        // Text responses (TEXT modality) stream into the transcript; thoughts are not shown
+        if (!part.thought) {
+          this.audioInput.notifyModelResponding();
+          this._startModelTurn('modelText');
+          this.emit('transcript', { text: part.text, isFinal: false, type: 'model' });
+        }
+        break;
+      default:
+        log.debug(`Ignoring model turn part of kind "${part.kind}"`);
+        break;
+    }
+  }
+
+  // Legacy single-slot registration: replaces only the listener previously set
+  // through the same setter and leaves on() subscribers alone
+  _setCallbackSlot(event, callback) {
+    this.callbackSlots[event]?.();
+    this.callbackSlots[event] = callback ? this.on(event, callback) : null;
+  }
+
+  setOnMessageCallback(callback) {
+    this._setCallbackSlot('audio', callback);
+  }
+
+  setOnStatusUpdateCallback(callback) {
+    this._setCallbackSlot('status', callback);
+  }
+
+  setOnErrorCallback(callback) {
+    this._setCallbackSlot('error', callback);
+  }
+
+  setOnInterruptionCallback(callback) {
+    this._setCallbackSlot('interrupted', callback);
+  }
+
+  setOnTurnCompleteCallback(callback) {
+    this._setCallbackSlot('turnComplete', callback);
+  }
+
+  setOnTranscriptCallback(callback) {
+    this._setCallbackSlot('transcript', callback);
+  }
+
+  // Returns true if the WebSocket is connected
+  isConnected() {
+    return !!this.ws && this.ws.readyState === WebSocket.OPEN;
+  }
+
+  // Returns true if setupComplete was received on the current socket
+  isSetupComplete() {
+    return this.connection.is(...SETUP_COMPLETE_STATES);
+  }
+
+  // One of CONNECTION_STATES in ConnectionStateMachine.js
+  getConnectionState() {
+    return this.connection.state;
+  }
+
+  // Returns the resolved options of the current (or last) session
+  getSessionOptions() {
+    return this.sessionOptions;
+  }
+
+  // p50/p95 latency and traffic of the current conversation, see LatencyMetrics.js
+  getMetrics() {
+    return this.metrics.getSummary();
+  }
+
+  // Starts the p50/p95 over, e.g. after changing a setting mid-conversation
+  resetMetrics() {
+    this.metrics.reset();
+  }
+
+  // Tokens and estimated cost of the current (or last) conversation, see UsageTracker.getSummary()
+  getUsage() {
+    return this.usage.getSummary();
+  }
+}
+
+// Session behind the WebSocketService / AudioInputService / AudioOutputService wrappers
+export const defaultSession = new GeminiLiveSession({ toolRegistry: defaultToolRegistry });
+
+export default GeminiLiveSession;
@@ -0,0 +1,196 @@
+// services/LatencyMetrics.js
+// Rule XII: Latency Metrics - per-session response, playback and interruption timings with p50/p95
+
+import VoiceActivityDetector from './VoiceActivityDetector';
+import { createLogger } from './Logger';
+
+const log = createLogger('LatencyMetrics');
+
+// What is measured, in the order the debug overlay shows it
+export const LATENCY_METRICS = [
+  { name: 'responseLatencyMs', label: 'Speech end → first audio', unit: 'ms' },
+  { name: 'playbackDelayMs', label: 'First audio → audible', unit: 'ms' },
+  { name: 'interruptionStopMs', label: 'Interruption → silence', unit: 'ms' },
+  { name: 'chunkJitterMs', label: 'Chunk jitter', unit: 'ms' },
+  { name: 'bytesSentPerTurn', label: 'Sent per turn', unit: 'bytes' },
+  { name: 'bytesReceivedPerTurn', label: 'Received per turn', unit: 'bytes' },
+];
+
+// Only the latest samples of each metric are kept, so long sessions don't grow without bound
+const MAX_SAMPLES = 500;
+
+// Nearest-rank percentile of an ascending array
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+
+/**
+ * Measures one session from the outside: session events for what arrives,
+ * the input pipeline's frame tap for when the user stopped speaking, and the
+ * output pipeline's playback tap for when audio is actually heard. All times
+ * are Date.now() based.
+ *
+ * - responseLatencyMs: last voiced microphone frame -> first model audio of the answer
+ * - playbackDelayMs: first model audio of a response -> its first sample is audible
+ * - interruptionStopMs: interrupted received -> playback faded out
+ * - chunkJitterMs: change in the gap between consecutive model audio chunks of a response
+ * - bytesSentPerTurn / bytesReceivedPerTurn: WebSocket traffic between two model turn ends
+ */
+class LatencyMetrics {
+  /**
+   * @param {Object} params
+   * @param {Object} params.session - GeminiLiveSession to measure; its stats must count bytesSent / bytesReceived
+   */
+  constructor({ session }) {
+    this.session = session;
+    this.unsubscribers = [];
+    this.reset();
+  }
+
+  // Starts observing the session; samples collected so far are kept
+  start() {
+    if (this.unsubscribers.length > 0) {
+      return;
+    }
+    this.unsubscribers = [
+      this.session.on('audio', () => this._handleModelAudio()),
+      this.session.on('interrupted', () => this._handleTurnEnd(true)),
+      this.session.on('turnComplete', () => this._handleTurnEnd(false)),
+      this.session.audioInput.addFrameTap((frame) => this._handleUserFrame(frame)),
+      this.session.audioOutput.addPlaybackTap((event) => this._handlePlayback(event)),
+    ];
+  }
+
+  stop() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers = [];
+  }
+
+  // Drops all samples, e.g. when a new conversation starts
+  reset() {
+    this.samples = LATENCY_METRICS.reduce((samples, { name }) => ({ ...samples, [name]: [] }), {});
+    this.vad = null; // Created on the first frame, whose length gives the frame duration
+    this.lastVoicedAtMs = null;
+    this.lastTurnEndAtMs = 0;
+    this.isResponding = false; // Model audio received since the last turn end
+    this.lastChunkAtMs = null;
+    this.lastChunkGapMs = null;
+    this.awaitingPlaybackSinceMs = null; // First audio of the response, until it is scheduled
+    this.interruptedAtMs = null; // Until the playback fade-out is known
+    this.turnBytes = this._readByteCounters();
+  }
+
+  _record(name, value) {
+    const series = this.samples[name];
+    series.push(value);
+    if (series.length > MAX_SAMPLES) {
+      series.shift();
+    }
+  }
+
+  _readByteCounters() {
+    const { bytesSent = 0, bytesReceived = 0 } = this.session.stats || {};
+    return { sent: bytesSent, received: bytesReceived };
+  }
+
+  // Tracks the last frame with actual speech; the VAD's hangover would add its own delay
+  _handleUserFrame({ samples, sampleRate, capturedAtMs }) {
+    if (!this.vad) {
+      this.vad = new VoiceActivityDetector(this.session.getSessionOptions().vad, (samples.length / sampleRate) * 1000);
+    }
+    const { isSpeaking, energyDb } = this.vad.process(samples);
+    const { minEnergyDb, noiseMarginDb } = this.vad.options;
+    if (isSpeaking && energyDb > Math.max(minEnergyDb, this.vad.noiseFloorDb + noiseMarginDb)) {
+      this.lastVoicedAtMs = capturedAtMs;
+    }
+  }
+
+  _handleModelAudio() {
+    const now = Date.now();
+    if (!this.isResponding) {
+      this.isResponding = true;
+      this.awaitingPlaybackSinceMs = now;
+      this.interruptedAtMs = null; // Nothing was playing when the last interruption came in
+      this.lastChunkAtMs = null;
+      this.lastChunkGapMs = null;
+      // Typed turns and answers without new speech have no speech end to measure from
+      if (this.lastVoicedAtMs !== null && this.lastVoicedAtMs > this.lastTurnEndAtMs) {
+        this._record('responseLatencyMs', now - this.lastVoicedAtMs);
+      }
+    }
+
+    if (this.lastChunkAtMs !== null) {
+      const gap = now - this.lastChunkAtMs;
+      if (this.lastChunkGapMs !== null) {
+        this._record('chunkJitterMs', Math.abs(gap - this.lastChunkGapMs));
+      }
+      this.lastChunkGapMs = gap;
+    }
+    this.lastChunkAtMs = now;
+  }
+
+  _handleTurnEnd(interrupted) {
+    const now = Date.now();
+    if (interrupted) {
+      this.interruptedAtMs = now;
+    }
+    this.isResponding = false;
+    this.lastTurnEndAtMs = now;
+
+    const bytes = this._readByteCounters();
+    this._record('bytesSentPerTurn', bytes.sent - this.turnBytes.sent);
+    this._record('bytesReceivedPerTurn', bytes.received - this.turnBytes.received);
+    this.turnBytes = bytes;
+  }
+
+  _handlePlayback(event) {
+    if (event.type === 'scheduled') {
+      if (this.awaitingPlaybackSinceMs !== null) {
+        this._record('playbackDelayMs', Math.max(0, event.startAtMs - this.awaitingPlaybackSinceMs));
+        this.awaitingPlaybackSinceMs = null;
+      }
+      return;
+    }
+
+    // 'cleared': only a cut-off that follows an interruption is measured, not e.g. a reconnect
+    if (this.interruptedAtMs !== null) {
+      this._record('interruptionStopMs', Math.max(0, event.stopAtMs - this.interruptedAtMs));
+      this.interruptedAtMs = null;
+    }
+    this.awaitingPlaybackSinceMs = null;
+  }
+
+  /**
+   * @returns {Object} - { [name]: { count, p50, p95, last } } for every metric in LATENCY_METRICS;
+   *   the values are null while a metric has no samples
+   */
+  getSummary() {
+    return LATENCY_METRICS.reduce((summary, { name }) => {
+      const series = this.samples[name];
+      if (series.length === 0) {
+        return { ...summary, [name]: { count: 0, p50: null, p95: null, last: null } };
+      }
+      const sorted = [...series].sort((a, b) => a - b);
+      return {
+        ...summary,
+        [name]: {
+          count: series.length,
+          p50: Math.round(percentile(sorted, 50)),
+          p95: Math.round(percentile(sorted, 95)),
+          last: Math.round(series[series.length - 1]),
+        },
+      };
+    }, {});
+  }
+
+  // One line per metric, for logs and bug reports
+  logSummary() {
+    const summary = this.getSummary();
+    LATENCY_METRICS.forEach(({ name, unit }) => {
+      const { count, p50, p95 } = summary[name];
+      if (count > 0) {
+        log.info(`${name}: p50 ${p50} ${unit}, p95 ${p95} ${unit} (n=${count})`);
+      }
+    });
+  }
+}
+
+export default LatencyMetrics;
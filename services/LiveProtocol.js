@@ -0,0 +1,252 @@
+// services/LiveProtocol.js
+// Rule II: Live Protocol - parsing and building BidiGenerateContent WebSocket messages
+
+import { Buffer } from 'buffer';
+
+/**
+ * Thrown by parseServerMessage for frames that are not valid server messages.
+ * `raw` holds the start of the offending frame for diagnostics.
+ */
+export class ProtocolError extends Error {
+  constructor(message, raw) {
+    super(message);
+    this.name = 'ProtocolError';
+    this.raw = raw;
+  }
+}
+
+// Message types in the order they are checked; usageMetadata rides along with the others
+export const SERVER_MESSAGE_TYPES = [
+  'setupComplete',
+  'serverContent',
+  'toolCall',
+  'toolCallCancellation',
+  'goAway',
+  'sessionResumptionUpdate',
+  'usageMetadata',
+  'error',
+];
+
+const RAW_PREVIEW_LENGTH = 200;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const preview = (text) => (text.length > RAW_PREVIEW_LENGTH ? `${text.substring(0, RAW_PREVIEW_LENGTH)}...` : text);
+
+// --- Parsing --- START ---
+
+// WebSocket frames arrive as text or as binary UTF-8 JSON; the server never sends bare PCM
+const decodeFrame = (raw) => {
+  if (typeof raw === 'string') {
+    return raw;
+  }
+  if (raw instanceof ArrayBuffer) {
+    return Buffer.from(new Uint8Array(raw)).toString('utf8');
+  }
+  if (raw instanceof Uint8Array) {
+    return Buffer.from(raw).toString('utf8');
+  }
+  throw new ProtocolError(`Unsupported frame type: ${Object.prototype.toString.call(raw)}`, null);
+};
+
+const parseTranscription = (transcription, field, raw) => {
+  if (transcription === undefined) {
+    return null;
+  }
+  if (!isObject(transcription) || (transcription.text !== undefined && typeof transcription.text !== 'string')) {
+    throw new ProtocolError(`serverContent.${field} must be an object with a text string`, raw);
+  }
+  return { text: transcription.text || '', finished: transcription.finished === true };
+};
+
+const parsePart = (part, index, raw) => {
+  if (!isObject(part)) {
+    throw new ProtocolError(`modelTurn.parts[${index}] must be an object`, raw);
+  }
+
+  if (part.inlineData !== undefined) {
+    const { mimeType, data } = part.inlineData || {};
+    if (typeof mimeType !== 'string' || typeof data !== 'string') {
+      throw new ProtocolError(`modelTurn.parts[${index}].inlineData needs mimeType and base64 data strings`, raw);
+    }
+    if (!mimeType.startsWith('audio/')) {
+      return { kind: 'inlineData', mimeType, data };
+    }
+    const rateMatch = mimeType.match(/rate=(\d+)/);
+    return {
+      kind: 'audio',
+      mimeType,
+      data,
+      sampleRate: rateMatch ? parseInt(rateMatch[1], 10) : null,
+    };
+  }
+
+  if (part.text !== undefined) {
+    if (typeof part.text !== 'string') {
+      throw new ProtocolError(`modelTurn.parts[${index}].text must be a string`, raw);
+    }
+    return { kind: 'text', text: part.text, thought: part.thought === true };
+  }
+
+  // Code execution and other part kinds are passed through untouched
+  return { kind: 'other', part };
+};
+
+const parseServerContent = (content, raw) => {
+  if (!isObject(content)) {
+    throw new ProtocolError('serverContent must be an object', raw);
+  }
+
+  let parts = [];
+  if (content.modelTurn !== undefined) {
+    if (!isObject(content.modelTurn) || (content.modelTurn.parts !== undefined && !Array.isArray(content.modelTurn.parts))) {
+      throw new ProtocolError('serverContent.modelTurn.parts must be an array', raw);
+    }
+    parts = (content.modelTurn.parts || []).map((part, index) => parsePart(part, index, raw));
+  }
+
+  return {
+    parts,
+    inputTranscription: parseTranscription(content.inputTranscription, 'inputTranscription', raw),
+    outputTranscription: parseTranscription(content.outputTranscription, 'outputTranscription', raw),
+    interrupted: content.interrupted === true,
+    generationComplete: content.generationComplete === true,
+    turnComplete: content.turnComplete === true,
+  };
+};
+
+const parseFunctionCalls = (toolCall, raw) => {
+  if (!isObject(toolCall) || !Array.isArray(toolCall.functionCalls)) {
+    throw new ProtocolError('toolCall.functionCalls must be an array', raw);
+  }
+  return toolCall.functionCalls.map((call, index) => {
+    if (!isObject(call) || typeof call.id !== 'string' || typeof call.name !== 'string') {
+      throw new ProtocolError(`toolCall.functionCalls[${index}] needs id and name strings`, raw);
+    }
+    return { id: call.id, name: call.name, args: isObject(call.args) ? call.args : {} };
+  });
+};
+
+/**
+ * Parses one WebSocket frame from the server.
+ * @param {string|ArrayBuffer|Uint8Array} raw - Frame payload
+ * @returns {Object} - Discriminated union on `type`, one of SERVER_MESSAGE_TYPES:
+ *   { type: 'setupComplete' }
+ *   { type: 'serverContent', parts, inputTranscription, outputTranscription, interrupted, generationComplete, turnComplete }
+ *   { type: 'toolCall', functionCalls: [{ id, name, args }] }
+ *   { type: 'toolCallCancellation', ids }
+ *   { type: 'goAway', timeLeft }
+ *   { type: 'sessionResumptionUpdate', newHandle, resumable }
+ *   { type: 'usageMetadata' }
+ *   { type: 'error', code, message, status }
+ *   Every variant also carries `usageMetadata` (object or null).
+ * @throws {ProtocolError} - For frames that are not JSON, not an object, of unknown type or malformed
+ */
+export const parseServerMessage = (raw) => {
+  const text = decodeFrame(raw);
+
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (error) {
+    throw new ProtocolError(`Frame is not valid JSON: ${error.message}`, preview(text));
+  }
+  if (!isObject(message)) {
+    throw new ProtocolError('Frame must be a JSON object', preview(text));
+  }
+
+  const type = SERVER_MESSAGE_TYPES.find((candidate) => message[candidate] !== undefined);
+  if (!type) {
+    throw new ProtocolError(`Unknown server message with keys: ${Object.keys(message).join(', ') || '(none)'}`, preview(text));
+  }
+
+  const rawPreview = preview(text);
+  if (message.usageMetadata !== undefined && !isObject(message.usageMetadata)) {
+    throw new ProtocolError('usageMetadata must be an object', rawPreview);
+  }
+  const base = { type, usageMetadata: message.usageMetadata || null };
+
+  switch (type) {
+    case 'setupComplete':
+      return base;
+    case 'serverContent':
+      return { ...base, ...parseServerContent(message.serverContent, rawPreview) };
+    case 'toolCall':
+      return { ...base, functionCalls: parseFunctionCalls(message.toolCall, rawPreview) };
+    case 'toolCallCancellation': {
+      const ids = message.toolCallCancellation?.ids;
+      if (!Array.isArray(ids)) {
+        throw new ProtocolError('toolCallCancellation.ids must be an array', rawPreview);
+      }
+      return { ...base, ids };
+    }
+    case 'goAway':
+      return { ...base, timeLeft: message.goAway?.timeLeft || null };
+    case 'sessionResumptionUpdate': {
+      const update = message.sessionResumptionUpdate;
+      if (!isObject(update)) {
+        throw new ProtocolError('sessionResumptionUpdate must be an object', rawPreview);
+      }
+      return {
+        ...base,
+        newHandle: typeof update.newHandle === 'string' ? update.newHandle : null,
+        resumable: update.resumable === true,
+      };
+    }
+    case 'usageMetadata':
+      return base;
+    case 'error': {
+      const error = isObject(message.error) ? message.error : { message: String(message.error) };
+      return { ...base, code: error.code || null, message: error.message || 'Server error', status: error.status || null };
+    }
+    default:
+      throw new ProtocolError(`Unhandled server message type ${type}`, rawPreview);
+  }
+};
+
+// --- Parsing --- END ---
+
+// --- Building --- START ---
+
+/**
+ * @param {Object} setup - Body from buildSetupConfig, plus sessionResumption / tools
+ */
+export const buildSetupMessage = (setup) => ({ setup });
+
+/**
+ * @param {ArrayBuffer|Uint8Array} pcmBytes - 16-bit little-endian mono PCM
+ * @param {number} sampleRate
+ */
+export const buildAudioMessage = (pcmBytes, sampleRate) => ({
+  realtimeInput: {
+    audio: {
+      mimeType: `audio/pcm;rate=${sampleRate}`,
+      data: Buffer.from(pcmBytes instanceof ArrayBuffer ? new Uint8Array(pcmBytes) : pcmBytes).toString('base64'),
+    },
+  },
+});
+
+export const buildAudioStreamEndMessage = () => ({ realtimeInput: { audioStreamEnd: true } });
+
+export const buildActivityStartMessage = () => ({ realtimeInput: { activityStart: {} } });
+
+export const buildActivityEndMessage = () => ({ realtimeInput: { activityEnd: {} } });
+
+/**
+ * @param {string} text - A user turn
+ * @param {Object} [options]
+ * @param {boolean} [options.turnComplete=true] - false to add context without asking for a response
+ */
+export const buildTextMessage = (text, { turnComplete = true } = {}) => ({
+  clientContent: {
+    turns: [{ role: 'user', parts: [{ text }] }],
+    turnComplete,
+  },
+});
+
+/**
+ * @param {Array<Object>} functionResponses - [{ id, name, response }]
+ */
+export const buildToolResponseMessage = (functionResponses) => ({ toolResponse: { functionResponses } });
+
+// --- Building --- END ---
@@ -0,0 +1,342 @@
+// services/Logger.js
+// Rule XIV: Logger - leveled, namespaced logging with redaction, rate limiting and pluggable sinks
+
+import * as FileSystem from 'expo-file-system';
+import { LOG_LEVEL, LOG_NAMESPACE_LEVELS, LOG_FILE_ENABLED } from '../config';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+const LEVEL_RANK = LOG_LEVELS.reduce((ranks, level, index) => ({ ...ranks, [level]: index }), {});
+
+const REDACTED = 'REDACTED';
+const MAX_DEPTH = 5;
+const MAX_ARRAY_ITEMS = 50;
+const SECRET_KEYS = new Set(['key', 'apiKey', 'api_key', 'token', 'access_token', 'authorization']);
+
+// --- Redaction --- START ---
+
+const redactString = (text) => text
+  .replace(/([?&](?:key|access_token)=)[^&\s"']+/g, `$1${REDACTED}`)
+  .replace(/AIza[0-9A-Za-z_-]{35}/g, REDACTED)
+  // Base64 audio (and any other long base64 run) is replaced by its decoded size
+  .replace(/[A-Za-z0-9+/]{160,}={0,2}/g, (match) => `<base64 ${Math.floor((match.length * 3) / 4)} bytes>`);
+
+const redactValue = (value, depth) => {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (value instanceof Error) {
+    const copy = new Error(redactString(value.message || ''));
+    copy.name = value.name;
+    copy.stack = value.stack ? redactString(value.stack) : undefined;
+    return copy;
+  }
+  if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+    return `<${value.byteLength} bytes>`;
+  }
+  if (depth >= MAX_DEPTH) {
+    return Array.isArray(value) ? '[Array]' : '[Object]';
+  }
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ARRAY_ITEMS).map((item) => redactValue(item, depth + 1));
+    if (value.length > MAX_ARRAY_ITEMS) {
+      items.push(`<${value.length - MAX_ARRAY_ITEMS} more>`);
+    }
+    return items;
+  }
+  return Object.keys(value).reduce((copy, key) => {
+    copy[key] = SECRET_KEYS.has(key) && value[key] ? REDACTED : redactValue(value[key], depth + 1);
+    return copy;
+  }, {});
+};
+
+/**
+ * Copy of a log argument with API keys, tokens and base64 payloads removed.
+ * Strings, plain objects, arrays and Errors are redacted; binary data is
+ * replaced by its size.
+ * @param {*} value
+ * @returns {*}
+ */
+export const redact = (value) => redactValue(value, 0);
+
+// --- Redaction --- END ---
+
+// --- Sinks --- START ---
+
+// One line of text for sinks that don't keep structured arguments
+export const formatRecord = ({ time, level, namespace, args }) => {
+  const text = args.map((arg) => {
+    if (typeof arg === 'string') {
+      return arg;
+    }
+    if (arg instanceof Error) {
+      return arg.stack || `${arg.name}: ${arg.message}`;
+    }
+    try {
+      return JSON.stringify(arg);
+    } catch (error) {
+      return String(arg);
+    }
+  }).join(' ');
+  return `${new Date(time).toISOString()} ${level.toUpperCase()} ${namespace}: ${text}`;
+};
+
+/**
+ * Writes to the JS console (Metro / device logs) as "Namespace: message".
+ */
+export const consoleSink = ({ level, namespace, args }) => {
+  const method = level === 'debug' || level === 'info' ? 'log' : level;
+  const [first, ...rest] = args;
+  if (typeof first === 'string') {
+    console[method](`${namespace}: ${first}`, ...rest);
+  } else {
+    console[method](`${namespace}:`, ...args);
+  }
+};
+
+/**
+ * Keeps the most recent records in memory, e.g. to attach to a bug report.
+ * @param {Object} [options]
+ * @param {number} [options.capacity=500]
+ * @returns {Function} - Sink with getRecords(), getLines() and clear()
+ */
+export const createMemorySink = ({ capacity = 500 } = {}) => {
+  let records = [];
+  const sink = (record) => {
+    records.push(record);
+    if (records.length > capacity) {
+      records = records.slice(records.length - capacity);
+    }
+  };
+  sink.getRecords = () => [...records];
+  sink.getLines = () => records.map(formatRecord);
+  sink.clear = () => {
+    records = [];
+  };
+  return sink;
+};
+
+/**
+ * Appends formatted lines to a log file. Lines are buffered and the file is
+ * rewritten after flushIntervalMs; only the last maxBytes are kept. The
+ * previous run's file is kept next to it as <name>.previous.log.
+ * @param {Object} [options]
+ * @param {string} [options.uri] - Defaults to logs/app.log in the document directory
+ * @param {number} [options.maxBytes=262144]
+ * @param {number} [options.flushIntervalMs=2000]
+ * @returns {Function} - Sink with flush() and uri
+ */
+export const createFileSink = ({
+  uri = `${FileSystem.documentDirectory}logs/app.log`,
+  maxBytes = 256 * 1024,
+  flushIntervalMs = 2000,
+} = {}) => {
+  let lines = [];
+  let bytes = 0;
+  let flushTimer = null;
+  let writeQueue = Promise.resolve();
+  let isPrepared = false;
+
+  const prepare = async () => {
+    if (isPrepared) {
+      return;
+    }
+    isPrepared = true;
+    const directory = uri.substring(0, uri.lastIndexOf('/') + 1);
+    const directoryInfo = await FileSystem.getInfoAsync(directory);
+    if (!directoryInfo.exists) {
+      await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+    }
+    const info = await FileSystem.getInfoAsync(uri);
+    if (info.exists) {
+      await FileSystem.moveAsync({ from: uri, to: uri.replace(/(\.log)?$/, '.previous.log') });
+    }
+  };
+
+  const flush = () => {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    const content = lines.join('\n');
+    writeQueue = writeQueue
+      .then(prepare)
+      .then(() => FileSystem.writeAsStringAsync(uri, content))
+      .catch(() => {}); // Logging must never throw; there is nowhere left to report it
+    return writeQueue;
+  };
+
+  const sink = (record) => {
+    const line = formatRecord(record);
+    lines.push(line);
+    bytes += line.length + 1;
+    while (bytes > maxBytes && lines.length > 1) {
+      bytes -= lines.shift().length + 1;
+    }
+    if (!flushTimer) {
+      flushTimer = setTimeout(flush, flushIntervalMs);
+    }
+  };
+  sink.flush = flush;
+  sink.uri = uri;
+  return sink;
+};
+
+// --- Sinks --- END ---
+
+// --- Configuration --- START ---
+
+const settings = {
+  level: LOG_LEVEL,
+  namespaceLevels: { ...LOG_NAMESPACE_LEVELS },
+  sinks: [consoleSink],
+};
+
+const throttles = new Map(); // `${namespace}:${key}` -> { lastAt, suppressed }
+
+const assertLevel = (level) => {
+  if (LEVEL_RANK[level] === undefined) {
+    throw new Error(`Logger: level must be one of ${LOG_LEVELS.join(', ')}`);
+  }
+};
+
+/**
+ * @param {string} level - One of LOG_LEVELS
+ * @param {string} [namespace] - Only change this namespace; without it the default level changes
+ */
+export const setLogLevel = (level, namespace) => {
+  assertLevel(level);
+  if (namespace) {
+    settings.namespaceLevels[namespace] = level;
+  } else {
+    settings.level = level;
+  }
+};
+
+/**
+ * @param {Function} sink - (record: { time, level, namespace, args }) => void
+ * @returns {Function} - Removes the sink again
+ */
+export const addLogSink = (sink) => {
+  settings.sinks.push(sink);
+  return () => {
+    settings.sinks = settings.sinks.filter((candidate) => candidate !== sink);
+  };
+};
+
+/**
+ * Replaces the logging setup; omitted fields are left as they are.
+ * @param {Object} options
+ * @param {string} [options.level] - Default level
+ * @param {Object} [options.namespaceLevels] - { [namespace]: level }
+ * @param {Array<Function>} [options.sinks]
+ */
+export const configureLogger = ({ level, namespaceLevels, sinks } = {}) => {
+  if (level !== undefined) {
+    setLogLevel(level);
+  }
+  if (namespaceLevels !== undefined) {
+    Object.values(namespaceLevels).forEach(assertLevel);
+    settings.namespaceLevels = { ...namespaceLevels };
+  }
+  if (sinks !== undefined) {
+    settings.sinks = [...sinks];
+  }
+};
+
+export const isLevelEnabled = (level, namespace) => {
+  const threshold = settings.namespaceLevels[namespace] ?? settings.level;
+  return LEVEL_RANK[level] >= LEVEL_RANK[threshold];
+};
+
+const write = (level, namespace, args) => {
+  const record = { time: Date.now(), level, namespace, args: args.map(redact) };
+  settings.sinks.forEach((sink) => {
+    try {
+      sink(record);
+    } catch (error) {
+      // A broken sink must not take the app down with it
+    }
+  });
+};
+
+// --- Configuration --- END ---
+
+/**
+ * Logger for one module. Messages below the namespace's level cost a single
+ * comparison, so debug logging can stay in hot paths.
+ */
+class Logger {
+  constructor(namespace) {
+    this.namespace = namespace;
+  }
+
+  _log(level, args) {
+    if (isLevelEnabled(level, this.namespace)) {
+      write(level, this.namespace, args);
+    }
+  }
+
+  debug(...args) {
+    this._log('debug', args);
+  }
+
+  info(...args) {
+    this._log('info', args);
+  }
+
+  warn(...args) {
+    this._log('warn', args);
+  }
+
+  error(...args) {
+    this._log('error', args);
+  }
+
+  /**
+   * Rate-limited variant for hot paths such as per-frame logging: at most one
+   * message per key and interval gets through, and the next one that does
+   * reports how many were suppressed in between.
+   * @param {string} key
+   * @param {number} [intervalMs=1000]
+   * @returns {Object} - { debug, info, warn, error }
+   */
+  throttle(key, intervalMs = 1000) {
+    const throttleKey = `${this.namespace}:${key}`;
+    const logThrottled = (level) => (...args) => {
+      if (!isLevelEnabled(level, this.namespace)) {
+        return;
+      }
+      const now = Date.now();
+      const state = throttles.get(throttleKey) || { lastAt: -Infinity, suppressed: 0 };
+      throttles.set(throttleKey, state);
+      if (now - state.lastAt < intervalMs) {
+        state.suppressed++;
+        return;
+      }
+      const suppressed = state.suppressed;
+      state.lastAt = now;
+      state.suppressed = 0;
+      write(level, this.namespace, suppressed > 0 ? [...args, `(${suppressed} similar suppressed)`] : args);
+    };
+    return {
+      debug: logThrottled('debug'),
+      info: logThrottled('info'),
+      warn: logThrottled('warn'),
+      error: logThrottled('error'),
+    };
+  }
+}
+
+/**
+ * @param {string} namespace - Usually the module name, e.g. 'GeminiLiveSession'
+ * @returns {Logger}
+ */
+export const createLogger = (namespace) => new Logger(namespace);
+
+if (LOG_FILE_ENABLED) {
+  addLogSink(createFileSink());
+}
+
+export default createLogger;
@@ -3,6 +3,9 @@
 
 import { PermissionsAndroid, Platform } from 'react-native';
 import { check, request, PERMISSIONS, RESULTS } from 'react-native-permissions';
+import { createLogger } from './Logger';
+
+const log = createLogger('PermissionsService');
 
 const requestMicrophonePermission = async () => {
   if (Platform.OS === 'android') {
@@ -19,28 +22,28 @@ const requestMicrophonePermission = async () => {
         },
       );
       if (granted === PermissionsAndroid.RESULTS.GRANTED) {
-        console.log('PermissionsService: Microphone permission granted (Android)');
+        log.info('Microphone permission granted (Android)');
         return true;
       } else {
-        console.log('PermissionsService: Microphone permission denied (Android)');
+        log.info('Microphone permission denied (Android)');
         return false;
       }
     } catch (err) {
-      console.warn('PermissionsService: Error requesting microphone permission (Android):', err);
+      log.warn('Error requesting microphone permission (Android):', err);
       return false;
     }
   } else if (Platform.OS === 'ios') {
     try {
       const result = await request(PERMISSIONS.IOS.MICROPHONE);
       if (result === RESULTS.GRANTED) {
-        console.log('PermissionsService: Microphone permission granted (iOS)');
+        log.info('Microphone permission granted (iOS)');
         return true;
       } else {
-        console.log('PermissionsService: Microphone permission denied (iOS)');
+        log.info('Microphone permission denied (iOS)');
         return false;
       }
     } catch (err) {
-      console.warn('PermissionsService: Error requesting microphone permission (iOS):', err);
+      log.warn('Error requesting microphone permission (iOS):', err);
       return false;
     }
   }
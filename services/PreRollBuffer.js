@@ -0,0 +1,93 @@
+// services/PreRollBuffer.js
+// Rule III: Pre-Roll Buffer - time-bounded ring buffer for microphone frames captured before the session is ready
+
+/**
+ * Fixed-capacity ring of audio frames. When full, the oldest frame is
+ * overwritten and counted as dropped, so the buffer always holds the most
+ * recent maxMs of audio.
+ */
+class PreRollBuffer {
+  /**
+   * @param {Object} params
+   * @param {number} params.maxMs - How much audio to keep
+   * @param {number} params.frameDurationMs - Duration of one pushed frame
+   */
+  constructor({ maxMs, frameDurationMs }) {
+    this.frameDurationMs = frameDurationMs;
+    this.capacity = Math.max(1, Math.ceil(maxMs / frameDurationMs));
+    this.frames = new Array(this.capacity);
+    this.start = 0; // Index of the oldest frame
+    this.length = 0;
+
+    this.stats = {
+      droppedFrames: 0, // Overwritten because the buffer was full
+      discardedFrames: 0, // Thrown away by clear(), e.g. on stop or mute with the drop policy
+      flushedFrames: 0, // Handed back in order by drain()
+      maxBufferedFrames: 0,
+    };
+  }
+
+  push(frame) {
+    if (this.length === this.capacity) {
+      this.frames[this.start] = frame;
+      this.start = (this.start + 1) % this.capacity;
+      this.stats.droppedFrames++;
+      return;
+    }
+
+    this.frames[(this.start + this.length) % this.capacity] = frame;
+    this.length++;
+    this.stats.maxBufferedFrames = Math.max(this.stats.maxBufferedFrames, this.length);
+  }
+
+  /**
+   * Removes and returns every buffered frame, oldest first.
+   * @returns {Array<ArrayBuffer>}
+   */
+  drain() {
+    const frames = [];
+    for (let i = 0; i < this.length; i++) {
+      const index = (this.start + i) % this.capacity;
+      frames.push(this.frames[index]);
+      this.frames[index] = undefined;
+    }
+
+    this.stats.flushedFrames += frames.length;
+    this.start = 0;
+    this.length = 0;
+    return frames;
+  }
+
+  clear() {
+    this.stats.discardedFrames += this.length;
+    this.frames = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  isEmpty() {
+    return this.length === 0;
+  }
+
+  getBufferedMs() {
+    return this.length * this.frameDurationMs;
+  }
+
+  // Counters in frames and milliseconds since the buffer was created
+  getStats() {
+    const toMs = (frames) => Math.round(frames * this.frameDurationMs);
+    return {
+      capacityMs: toMs(this.capacity),
+      bufferedMs: toMs(this.length),
+      maxBufferedMs: toMs(this.stats.maxBufferedFrames),
+      droppedFrames: this.stats.droppedFrames,
+      droppedMs: toMs(this.stats.droppedFrames),
+      discardedFrames: this.stats.discardedFrames,
+      discardedMs: toMs(this.stats.discardedFrames),
+      flushedFrames: this.stats.flushedFrames,
+      flushedMs: toMs(this.stats.flushedFrames),
+    };
+  }
+}
+
+export default PreRollBuffer;
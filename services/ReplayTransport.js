@@ -0,0 +1,206 @@
+// services/ReplayTransport.js
+// Rule II: Replay Transport - plays a captured cassette back through a session without a network
+
+import { Buffer } from 'buffer';
+import * as FileSystem from 'expo-file-system';
+import { CASSETTE_VERSION } from './TrafficRecorder';
+import { createLogger } from './Logger';
+
+const log = createLogger('ReplayTransport');
+
+// WebSocket readyState values
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSING = 2;
+const CLOSED = 3;
+
+/**
+ * Parses a JSONL cassette written by TrafficRecorder.
+ * @param {string} text
+ * @returns {Object} - { header, connections: Array<Array<Object>> } with each connection's entries in time order
+ * @throws {Error} - For lines that are not JSON or a cassette of another version
+ */
+export const parseCassette = (text) => {
+  const lines = text.split('\n').filter((line) => line.trim());
+  const records = lines.map((line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new Error(`ReplayTransport: Line ${index + 1} of the cassette is not valid JSON: ${error.message}`);
+    }
+  });
+
+  const [header, ...entries] = records;
+  if (!header || header.type !== 'cassette') {
+    throw new Error('ReplayTransport: Not a cassette, the first line must be its header');
+  }
+  if (header.version !== CASSETTE_VERSION) {
+    throw new Error(`ReplayTransport: Unsupported cassette version ${header.version}`);
+  }
+
+  const connections = [];
+  entries.forEach((entry) => {
+    if (!connections[entry.conn]) {
+      connections[entry.conn] = [];
+    }
+    connections[entry.conn].push(entry);
+  });
+  connections.forEach((connection) => connection.sort((a, b) => a.t - b.t));
+  return { header, connections: connections.filter(Boolean) };
+};
+
+/**
+ * Reads a cassette from a local file (e.g. one pushed to the simulator) or
+ * from an http(s) URL served by the dev machine.
+ * @param {string} uri
+ * @returns {Promise<Object>} - Parsed cassette, see parseCassette
+ */
+export const loadCassette = async (uri) => {
+  if (/^https?:\/\//.test(uri)) {
+    const response = await fetch(uri);
+    if (!response.ok) {
+      throw new Error(`ReplayTransport: Fetching ${uri} failed with HTTP ${response.status}`);
+    }
+    return parseCassette(await response.text());
+  }
+  return parseCassette(await FileSystem.readAsStringAsync(uri));
+};
+
+const decodeEntryData = (entry) => (entry.encoding === 'base64'
+  ? Uint8Array.from(Buffer.from(entry.data, 'base64')).buffer
+  : entry.data);
+
+/**
+ * Stands in for a WebSocket: replays the incoming side of one captured
+ * connection with its original timing divided by `speed`. What the app sends
+ * is kept in `sent` but never changes what is played back, so a replay shows
+ * exactly what the user's app received.
+ */
+export class ReplaySocket {
+  /**
+   * @param {string} url
+   * @param {Array<Object>|null} entries - One connection of a cassette; null fails like an unreachable server
+   * @param {Object} [options]
+   * @param {number} [options.speed=1] - 1 is the original speed, 4 four times as fast, Infinity without delays
+   * @param {Function} [options.onFinished] - Called once the last entry has been played
+   */
+  constructor(url, entries, { speed = 1, onFinished } = {}) {
+    this.url = url;
+    this.readyState = CONNECTING;
+    this.sent = [];
+    this.timers = [];
+    this.onopen = null;
+    this.onmessage = null;
+    this.onerror = null;
+    this.onclose = null;
+    this.onFinished = onFinished || null;
+
+    if (!entries) {
+      this._schedule(0, () => {
+        this.onerror?.({ message: 'Cassette has no more connections' });
+        this._close(1006, 'Cassette has no more connections');
+      });
+      return;
+    }
+
+    // Stop where the app hung up, or the replayed close would look like a dropped connection
+    const hangUp = entries.findIndex((entry) => entry.dir === 'out' && entry.event === 'close');
+    const incoming = (hangUp === -1 ? entries : entries.slice(0, hangUp)).filter((entry) => entry.dir === 'in');
+    const originMs = entries[0]?.t ?? 0;
+    incoming.forEach((entry, index) => {
+      const delay = Number.isFinite(speed) ? (entry.t - originMs) / speed : 0;
+      this._schedule(delay, () => {
+        this._play(entry);
+        if (index === incoming.length - 1) {
+          this.onFinished?.();
+        }
+      });
+    });
+  }
+
+  _schedule(delayMs, callback) {
+    this.timers.push(setTimeout(callback, Math.max(0, delayMs)));
+  }
+
+  _play(entry) {
+    if (this.readyState === CLOSED) {
+      return;
+    }
+    switch (entry.event) {
+      case 'open':
+        this.readyState = OPEN;
+        this.onopen?.({});
+        break;
+      case 'message':
+        this.onmessage?.({ data: decodeEntryData(entry) });
+        break;
+      case 'error':
+        this.onerror?.({ message: entry.message || 'Replayed socket error' });
+        break;
+      case 'close':
+        this._close(entry.code ?? 1006, entry.reason || '');
+        break;
+      default:
+        // 'truncated' and entries from newer recorders carry nothing to replay
+        break;
+    }
+  }
+
+  _close(code, reason) {
+    if (this.readyState === CLOSED) {
+      return;
+    }
+    this.timers.forEach(clearTimeout);
+    this.timers = [];
+    this.readyState = CLOSED;
+    this.onclose?.({ code, reason });
+  }
+
+  send(data) {
+    if (this.readyState !== OPEN) {
+      throw new Error('ReplaySocket: send() while not open');
+    }
+    this.sent.push(data);
+  }
+
+  // Like WebSocket.close(), the close event follows asynchronously
+  close(code = 1000, reason = '') {
+    if (this.readyState === CLOSED || this.readyState === CLOSING) {
+      return;
+    }
+    this.timers.forEach(clearTimeout);
+    this.timers = [];
+    this.readyState = CLOSING;
+    setTimeout(() => this._close(code, reason), 0);
+  }
+
+  // addEventListener is only needed by TrafficRecorder, which doesn't capture replays
+  addEventListener() {}
+}
+
+/**
+ * Socket factory for GeminiLiveSession's createSocket option: every socket
+ * the session opens (the first connection, then each reconnect) replays the
+ * next connection of the cassette.
+ * @param {Object} cassette - Parsed cassette, see parseCassette
+ * @param {Object} [options] - speed and onFinished, see ReplaySocket
+ * @returns {Function} - (url) => ReplaySocket
+ */
+export const createReplaySocketFactory = (cassette, options = {}) => {
+  let nextConnection = 0;
+  const createSocket = (url) => {
+    const entries = cassette.connections[nextConnection] || null;
+    log.info(`Replaying connection ${nextConnection + 1} of ${cassette.connections.length}`);
+    nextConnection++;
+    return new ReplaySocket(url, entries, options);
+  };
+  createSocket.requiresCredential = false; // Nothing leaves the device, so no key or token is needed
+  return createSocket;
+};
+
+export default {
+  parseCassette,
+  loadCassette,
+  createReplaySocketFactory,
+  ReplaySocket,
+};
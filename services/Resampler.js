@@ -0,0 +1,157 @@
+// services/Resampler.js
+// Rule III: Resampler - streaming windowed-sinc sample-rate conversion for capture and playback
+
+const DEFAULT_HALF_TAPS = 16; // Filter taps on each side of the interpolation point
+const PHASES = 128; // Precomputed fractional offsets; coefficients in between are interpolated
+const ROLLOFF = 0.92; // Cutoff as a fraction of the lower Nyquist frequency, leaves room for the transition band
+
+const sinc = (x) => (x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x));
+
+// Blackman window over [-1, 1]
+const blackman = (x) => {
+  if (Math.abs(x) >= 1) return 0;
+  const n = (x + 1) / 2;
+  return 0.42 - 0.5 * Math.cos(2 * Math.PI * n) + 0.08 * Math.cos(4 * Math.PI * n);
+};
+
+/**
+ * Builds the polyphase table: for each fractional offset, the 2 * halfTaps
+ * coefficients applied to x[i - halfTaps + 1] .. x[i + halfTaps], normalised to unity gain.
+ */
+const buildFilterTable = (halfTaps, cutoff) => {
+  const taps = halfTaps * 2;
+  const table = [];
+  for (let phase = 0; phase <= PHASES; phase++) {
+    const fraction = phase / PHASES;
+    const coefficients = new Float32Array(taps);
+    let sum = 0;
+    for (let m = 0; m < taps; m++) {
+      const distance = fraction + halfTaps - 1 - m;
+      const value = cutoff * sinc(cutoff * distance) * blackman(distance / halfTaps);
+      coefficients[m] = value;
+      sum += value;
+    }
+    for (let m = 0; m < taps; m++) {
+      coefficients[m] /= sum;
+    }
+    table.push(coefficients);
+  }
+  return table;
+};
+
+/**
+ * Converts one continuous audio stream between sample rates. Keep one instance
+ * per stream: it carries the filter history and fractional read position across
+ * chunks, so chunk boundaries don't click. Call reset() when the stream restarts.
+ */
+export class StreamingResampler {
+  /**
+   * @param {Object} params
+   * @param {number} params.inputRate - Sample rate of the chunks passed to process()
+   * @param {number} params.outputRate - Sample rate of the returned chunks
+   * @param {number} [params.halfTaps] - Filter half length; more taps, sharper filter, more CPU
+   */
+  constructor({ inputRate, outputRate, halfTaps = DEFAULT_HALF_TAPS }) {
+    if (!(inputRate > 0) || !(outputRate > 0)) {
+      throw new Error(`StreamingResampler: Invalid rates ${inputRate} -> ${outputRate}`);
+    }
+
+    this.inputRate = inputRate;
+    this.outputRate = outputRate;
+    this.halfTaps = halfTaps;
+    this.step = inputRate / outputRate; // Input samples advanced per output sample
+    this.isPassthrough = inputRate === outputRate;
+    this.filterTable = this.isPassthrough
+      ? null
+      : buildFilterTable(halfTaps, Math.min(1, outputRate / inputRate) * ROLLOFF);
+    this.reset();
+  }
+
+  reset() {
+    // Start from silence so the first chunk has a full filter history
+    this.history = new Float32Array(this.halfTaps * 2);
+    this.position = this.halfTaps * 2; // Read position in input samples, relative to history[0]
+  }
+
+  /**
+   * Resamples the next chunk of the stream.
+   * @param {Float32Array} input - Samples in [-1, 1]
+   * @returns {Float32Array} - Output samples; up to halfTaps input samples are held back for the next call
+   */
+  process(input) {
+    if (this.isPassthrough) {
+      return Float32Array.from(input);
+    }
+
+    const buffer = new Float32Array(this.history.length + input.length);
+    buffer.set(this.history, 0);
+    buffer.set(input, this.history.length);
+
+    const { halfTaps, step, filterTable } = this;
+    const taps = halfTaps * 2;
+    const maxOutput = Math.ceil((buffer.length - this.position) / step) + 1;
+    const output = new Float32Array(Math.max(0, maxOutput));
+    let outputLength = 0;
+    let position = this.position;
+
+    // Each output sample needs halfTaps input samples of look-ahead
+    while (position + halfTaps < buffer.length) {
+      const index = Math.floor(position);
+      const phasePosition = (position - index) * PHASES;
+      const phase = Math.floor(phasePosition);
+      const blend = phasePosition - phase;
+      const lower = filterTable[phase];
+      const upper = filterTable[phase + 1];
+
+      let sum = 0;
+      const first = index - halfTaps + 1;
+      for (let m = 0; m < taps; m++) {
+        const coefficient = lower[m] + (upper[m] - lower[m]) * blend;
+        sum += buffer[first + m] * coefficient;
+      }
+
+      output[outputLength++] = sum;
+      position += step;
+    }
+
+    // Keep what the next output samples still need as history
+    const keepFrom = Math.max(0, Math.floor(position) - halfTaps + 1);
+    this.history = buffer.slice(keepFrom);
+    this.position = position - keepFrom;
+
+    return output.subarray(0, outputLength);
+  }
+
+  /**
+   * Emits the samples still held back, e.g. at the end of a response.
+   * The resampler is reset afterwards.
+   * @returns {Float32Array}
+   */
+  flush() {
+    if (this.isPassthrough) {
+      return new Float32Array(0);
+    }
+    const tail = this.process(new Float32Array(this.halfTaps));
+    this.reset();
+    return tail;
+  }
+}
+
+export const int16ToFloat32 = (samples) => {
+  const output = new Float32Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    output[i] = samples[i] / 32768;
+  }
+  return output;
+};
+
+export const float32ToInt16 = (samples) => {
+  const output = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const value = Math.max(-1, Math.min(1, samples[i]));
+    output[i] = Math.round(value * 32767);
+  }
+  return output;
+};
+
+export default StreamingResampler;
@@ -0,0 +1,248 @@
+// services/SessionOptions.js
+// Rule VIII: Session Options - validation and setup payload for connect(options)
+
+import {
+  DEFAULT_CONVERSATION_MODE,
+  MODEL_NAME,
+  DEFAULT_SYSTEM_INSTRUCTION,
+  WEBSOCKET_SCHEME,
+  WEBSOCKET_HOST,
+  WEBSOCKET_PATH,
+  EPHEMERAL_TOKEN_WEBSOCKET_PATH,
+  BUDGET_SOFT_LIMIT_USD,
+  BUDGET_HARD_LIMIT_USD,
+} from '../config';
+import { DEFAULT_VAD_OPTIONS, validateVadOptions } from './VoiceActivityDetector';
+import { createLogger } from './Logger';
+
+const log = createLogger('SessionOptions');
+
+export const RESPONSE_MODALITIES = ['AUDIO', 'TEXT'];
+
+// Prebuilt voices known at the time of writing; others are allowed but logged
+export const PREBUILT_VOICES = ['Puck', 'Charon', 'Kore', 'Fenrir', 'Aoede', 'Leda', 'Orus', 'Zephyr'];
+
+export const WEBSOCKET_SCHEMES = ['wss', 'ws'];
+
+// 'always-on' streams the microphone continuously; 'push-to-talk' only while a button is held
+export const CONVERSATION_MODES = ['always-on', 'push-to-talk'];
+
+// What happens to captured frames that weren't sent yet when the microphone is muted
+export const MUTE_BUFFER_POLICIES = ['flush', 'drop'];
+
+export const DEFAULT_SESSION_OPTIONS = {
+  endpoint: {
+    scheme: WEBSOCKET_SCHEME, // 'ws' only for local development (mock server)
+    host: WEBSOCKET_HOST, // May include a port, e.g. 'localhost:8765'
+    path: WEBSOCKET_PATH,
+  },
+  model: MODEL_NAME,
+  systemInstruction: DEFAULT_SYSTEM_INSTRUCTION,
+  responseModalities: ['AUDIO'],
+  speechConfig: {
+    voiceName: null, // Server default voice
+    languageCode: null, // Server default language
+  },
+  temperature: null,
+  topP: null,
+  maxOutputTokens: null,
+  inputAudioTranscription: true, // Transcribe the user's speech
+  outputAudioTranscription: true, // Transcribe the model's speech
+  conversationMode: DEFAULT_CONVERSATION_MODE,
+  muteBufferPolicy: 'flush', // 'flush' sends them before audioStreamEnd, 'drop' discards them
+  vad: DEFAULT_VAD_OPTIONS, // Turn detection, see VoiceActivityDetector.js
+  budget: {
+    softLimitUsd: BUDGET_SOFT_LIMIT_USD, // Estimated cost that triggers a warning; null for none
+    hardLimitUsd: BUDGET_HARD_LIMIT_USD, // Estimated cost that ends the session; null for none
+  },
+};
+
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+const isSet = (value) => value !== undefined && value !== null;
+
+/**
+ * Merges caller options over the defaults. endpoint, speechConfig, vad and budget are merged
+ * one level deep so a surface can change only the voice and keep the default language.
+ * @param {Object} [options]
+ * @returns {Object} - Fully resolved session options
+ */
+export const resolveSessionOptions = (options = {}) => {
+  return {
+    ...DEFAULT_SESSION_OPTIONS,
+    ...options,
+    endpoint: {
+      ...DEFAULT_SESSION_OPTIONS.endpoint,
+      ...(options.endpoint || {}),
+    },
+    speechConfig: {
+      ...DEFAULT_SESSION_OPTIONS.speechConfig,
+      ...(options.speechConfig || {}),
+    },
+    vad: {
+      ...DEFAULT_SESSION_OPTIONS.vad,
+      ...(options.vad || {}),
+    },
+    budget: {
+      ...DEFAULT_SESSION_OPTIONS.budget,
+      ...(options.budget || {}),
+    },
+  };
+};
+
+/**
+ * Validates resolved session options.
+ * @param {Object} options - Output of resolveSessionOptions
+ * @returns {Array<string>} - Human readable problems, empty when valid
+ */
+export const validateSessionOptions = (options) => {
+  const errors = [];
+
+  const { scheme, host, path } = options.endpoint;
+  if (!WEBSOCKET_SCHEMES.includes(scheme)) {
+    errors.push(`endpoint.scheme must be one of ${WEBSOCKET_SCHEMES.join(', ')}`);
+  }
+  if (typeof host !== 'string' || !host.trim() || /[/?#]/.test(host)) {
+    errors.push('endpoint.host must be a host name, optionally with a port');
+  }
+  if (typeof path !== 'string' || !path.startsWith('/')) {
+    errors.push('endpoint.path must start with "/"');
+  }
+
+  if (typeof options.model !== 'string' || !options.model.startsWith('models/')) {
+    errors.push('model must be a string like "models/<name>"');
+  }
+
+  if (isSet(options.systemInstruction) && typeof options.systemInstruction !== 'string') {
+    errors.push('systemInstruction must be a string');
+  }
+
+  const modalities = options.responseModalities;
+  if (!Array.isArray(modalities) || modalities.length !== 1) {
+    errors.push('responseModalities must contain exactly one modality (Live sessions support one at a time)');
+  } else if (!RESPONSE_MODALITIES.includes(modalities[0])) {
+    errors.push(`responseModalities must be one of ${RESPONSE_MODALITIES.join(', ')}`);
+  }
+
+  const { voiceName, languageCode } = options.speechConfig;
+  if (isSet(voiceName)) {
+    if (typeof voiceName !== 'string' || !voiceName.trim()) {
+      errors.push('speechConfig.voiceName must be a non-empty string');
+    } else if (!PREBUILT_VOICES.includes(voiceName)) {
+      log.warn(`Voice "${voiceName}" is not in the known prebuilt voice list`);
+    }
+  }
+  if (isSet(languageCode) && (typeof languageCode !== 'string' || !LANGUAGE_CODE_PATTERN.test(languageCode))) {
+    errors.push('speechConfig.languageCode must be a BCP-47 code such as "en-US"');
+  }
+
+  if (isSet(options.temperature) && !(typeof options.temperature === 'number' && options.temperature >= 0 && options.temperature <= 2)) {
+    errors.push('temperature must be a number between 0 and 2');
+  }
+  if (isSet(options.topP) && !(typeof options.topP === 'number' && options.topP >= 0 && options.topP <= 1)) {
+    errors.push('topP must be a number between 0 and 1');
+  }
+  if (isSet(options.maxOutputTokens) && !(Number.isInteger(options.maxOutputTokens) && options.maxOutputTokens > 0)) {
+    errors.push('maxOutputTokens must be a positive integer');
+  }
+
+  if (typeof options.inputAudioTranscription !== 'boolean') {
+    errors.push('inputAudioTranscription must be true or false');
+  }
+  if (typeof options.outputAudioTranscription !== 'boolean') {
+    errors.push('outputAudioTranscription must be true or false');
+  }
+
+  if (!CONVERSATION_MODES.includes(options.conversationMode)) {
+    errors.push(`conversationMode must be one of ${CONVERSATION_MODES.join(', ')}`);
+  }
+  if (!MUTE_BUFFER_POLICIES.includes(options.muteBufferPolicy)) {
+    errors.push(`muteBufferPolicy must be one of ${MUTE_BUFFER_POLICIES.join(', ')}`);
+  }
+  errors.push(...validateVadOptions(options.vad));
+
+  const { softLimitUsd, hardLimitUsd } = options.budget;
+  [['softLimitUsd', softLimitUsd], ['hardLimitUsd', hardLimitUsd]].forEach(([key, value]) => {
+    if (isSet(value) && !(typeof value === 'number' && value > 0)) {
+      errors.push(`budget.${key} must be a positive number of USD`);
+    }
+  });
+  if (typeof softLimitUsd === 'number' && typeof hardLimitUsd === 'number' && softLimitUsd >= hardLimitUsd) {
+    errors.push('budget.softLimitUsd must be below budget.hardLimitUsd');
+  }
+
+  return errors;
+};
+
+// WebSocket URL of the session's endpoint, without credentials
+export const buildEndpointUrl = ({ endpoint }) => {
+  return `${endpoint.scheme}://${endpoint.host}${endpoint.path}`;
+};
+
+/**
+ * WebSocket URL with the credential in the query string. Ephemeral tokens are
+ * only accepted by the constrained endpoint, so the default path is swapped for it.
+ * @param {Object} options - Output of resolveSessionOptions
+ * @param {Object|null} credential - { type: 'apiKey' | 'token', value } from a credential provider; null for none
+ * @returns {string}
+ */
+export const buildAuthenticatedUrl = (options, credential) => {
+  if (!credential) {
+    return buildEndpointUrl(options);
+  }
+  if (credential.type === 'token') {
+    const path = options.endpoint.path === WEBSOCKET_PATH ? EPHEMERAL_TOKEN_WEBSOCKET_PATH : options.endpoint.path;
+    const url = buildEndpointUrl({ endpoint: { ...options.endpoint, path } });
+    return `${url}?access_token=${encodeURIComponent(credential.value)}`;
+  }
+  return `${buildEndpointUrl(options)}?key=${encodeURIComponent(credential.value)}`;
+};
+
+/**
+ * Builds the body of the setup message from resolved options.
+ * @param {Object} options - Output of resolveSessionOptions
+ * @returns {Object} - Value for the top-level "setup" key
+ */
+export const buildSetupConfig = (options) => {
+  const generationConfig = {
+    responseModalities: options.responseModalities,
+  };
+
+  const { voiceName, languageCode } = options.speechConfig;
+  if (options.responseModalities[0] === 'AUDIO' && (voiceName || languageCode)) {
+    generationConfig.speechConfig = {};
+    if (voiceName) {
+      generationConfig.speechConfig.voiceConfig = { prebuiltVoiceConfig: { voiceName } };
+    }
+    if (languageCode) {
+      generationConfig.speechConfig.languageCode = languageCode;
+    }
+  }
+
+  if (isSet(options.temperature)) generationConfig.temperature = options.temperature;
+  if (isSet(options.topP)) generationConfig.topP = options.topP;
+  if (isSet(options.maxOutputTokens)) generationConfig.maxOutputTokens = options.maxOutputTokens;
+
+  const setup = {
+    model: options.model,
+    generationConfig,
+  };
+
+  if (options.systemInstruction) {
+    setup.systemInstruction = { parts: [{ text: options.systemInstruction }] };
+  }
+  if (options.inputAudioTranscription) {
+    setup.inputAudioTranscription = {};
+  }
+  // Output transcription only applies to spoken responses
+  if (options.outputAudioTranscription && options.responseModalities[0] === 'AUDIO') {
+    setup.outputAudioTranscription = {};
+  }
+  // In client VAD and push-to-talk modes the app marks turns itself with activityStart / activityEnd,
+  // so the server VAD must not end a held turn early
+  if (options.vad.mode === 'client' || options.conversationMode === 'push-to-talk') {
+    setup.realtimeInputConfig = { automaticActivityDetection: { disabled: true } };
+  }
+
+  return setup;
+};
@@ -0,0 +1,367 @@
+// services/SessionRecorder.js
+// Rule III: Session Recorder - opt-in recording of the user's and the model's audio on one timeline
+
+import { Buffer } from 'buffer';
+import * as FileSystem from 'expo-file-system';
+import StreamingResampler, { int16ToFloat32 } from './Resampler';
+import { WAV_HEADER_BYTES, createWavHeader } from './WavFile';
+import { createLogger } from './Logger';
+
+const log = createLogger('SessionRecorder');
+
+// 'stereo': user on the left channel, model on the right; 'mixed': both summed into mono
+export const RECORDING_LAYOUTS = ['stereo', 'mixed'];
+
+// Opus is out of scope: it needs a native encoder, which the app doesn't ship.
+// Convert the WAV files offline instead, e.g. ffmpeg -i recording.wav -c:a libopus recording.opus
+export const RECORDING_FORMATS = ['wav'];
+
+export const DEFAULT_RECORDING_OPTIONS = {
+  layout: 'stereo',
+  format: 'wav',
+  sampleRate: 24000, // The model's output rate; the 16kHz microphone is upsampled
+  maxDurationMs: 15 * 60 * 1000,
+  maxBytes: 64 * 1024 * 1024, // The whole recording is held in memory until stop()
+};
+
+// A chunk that lands within this distance of where the previous one ended is
+// treated as contiguous, so capture and scheduling jitter don't open tiny gaps
+const RESYNC_THRESHOLD_MS = 150;
+
+const RECORDINGS_DIRECTORY = `${FileSystem.documentDirectory}recordings/`;
+
+// stop() converts and encodes this much at a time, then lets the UI run
+const RENDER_CHUNK_SAMPLES = 16384; // Per channel
+const BASE64_SLICE_BYTES = 3 * 256 * 1024; // A multiple of 3, so the slices' Base64 can be joined
+
+const yieldToUi = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const toInt16 = (value) => Math.round(Math.max(-1, Math.min(1, value)) * 32767);
+
+// Writes the part of the blocks in [start, start + channel.length) into channel; later blocks win
+const renderBlocks = (blocks, channel, start) => {
+  channel.fill(0);
+  blocks.forEach(({ offset, samples }) => {
+    const from = Math.max(start, offset);
+    const to = Math.min(start + channel.length, offset + samples.length);
+    if (to > from) {
+      channel.set(samples.subarray(from - offset, to - offset), from - start);
+    }
+  });
+};
+
+const encodeBase64 = async (data) => {
+  const parts = [];
+  for (let i = 0; i < data.length; i += BASE64_SLICE_BYTES) {
+    parts.push(data.slice(i, i + BASE64_SLICE_BYTES).toString('base64'));
+    await yieldToUi();
+  }
+  return parts.join('');
+};
+
+/**
+ * One channel of the recording: blocks of samples at offsets on the timeline.
+ * A stream resampler converts to the recording rate and is reset at every gap.
+ */
+class Track {
+  constructor(outputRate) {
+    this.outputRate = outputRate;
+    this.blocks = []; // { offset, samples: Float32Array }, in write order
+    this.nextOffset = null; // Where the next contiguous chunk goes; null after a gap
+    this.resampler = null;
+  }
+
+  /**
+   * @param {Float32Array} samples
+   * @param {number} sampleRate
+   * @param {number} offset - Timeline position of the first sample, in output samples
+   * @param {number} limit - No sample may be written at or beyond this offset
+   * @returns {boolean} - false if the chunk hit the limit
+   */
+  write(samples, sampleRate, offset, limit) {
+    const threshold = (RESYNC_THRESHOLD_MS * this.outputRate) / 1000;
+    const isContiguous = this.nextOffset !== null
+      && Math.abs(offset - this.nextOffset) <= threshold
+      && this.resampler?.inputRate === sampleRate;
+    if (!isContiguous) {
+      this.resampler = new StreamingResampler({ inputRate: sampleRate, outputRate: this.outputRate });
+      this.nextOffset = Math.max(0, Math.round(offset));
+    }
+
+    let output = this.resampler.process(samples);
+    const start = this.nextOffset;
+    const withinLimit = start + output.length <= limit;
+    if (!withinLimit) {
+      output = output.subarray(0, Math.max(0, limit - start));
+    }
+    if (output.length > 0) {
+      this.blocks.push({ offset: start, samples: Float32Array.from(output) });
+    }
+    this.nextOffset = start + output.length;
+    return withinLimit;
+  }
+
+  // Drops everything at or after the offset, e.g. model audio that was scheduled but cut off
+  truncate(offset) {
+    this.blocks = this.blocks
+      .filter((block) => block.offset < offset)
+      .map((block) => (block.offset + block.samples.length > offset
+        ? { offset: block.offset, samples: block.samples.subarray(0, offset - block.offset) }
+        : block));
+    this.nextOffset = null;
+  }
+
+  getEnd() {
+    return this.blocks.reduce((end, block) => Math.max(end, block.offset + block.samples.length), 0);
+  }
+
+  /**
+   * Groups the blocks by the render chunks they overlap, keeping write order within each chunk.
+   * @param {number} chunkLength - In samples
+   * @returns {Map<number, Array<Object>>} - Chunk index -> blocks
+   */
+  groupByChunk(chunkLength) {
+    const chunks = new Map();
+    this.blocks.forEach((block) => {
+      const last = Math.floor((block.offset + block.samples.length - 1) / chunkLength);
+      for (let index = Math.floor(block.offset / chunkLength); index <= last; index++) {
+        if (!chunks.has(index)) {
+          chunks.set(index, []);
+        }
+        chunks.get(index).push(block);
+      }
+    });
+    return chunks;
+  }
+}
+
+/**
+ * Records one session: the microphone frames that go to the model and the
+ * model audio as it is played, aligned on a shared wall-clock timeline, so
+ * pauses and barge-ins sound the way they happened. Nothing is recorded
+ * without explicit consent.
+ */
+class SessionRecorder {
+  /**
+   * @param {Object} params
+   * @param {Object} params.session - GeminiLiveSession to record
+   * @param {string} [params.layout] - One of RECORDING_LAYOUTS
+   * @param {string} [params.format] - One of RECORDING_FORMATS
+   * @param {number} [params.sampleRate]
+   * @param {number} [params.maxDurationMs] - Recording stops growing past this duration
+   * @param {number} [params.maxBytes] - ... or past this file size
+   * @param {Function} [params.onLimitReached] - Called once when a limit cuts the recording off
+   */
+  constructor({ session, onLimitReached, ...options }) {
+    this.session = session;
+    this.options = { ...DEFAULT_RECORDING_OPTIONS, ...options };
+    this.onLimitReached = onLimitReached || null;
+
+    if (!RECORDING_LAYOUTS.includes(this.options.layout)) {
+      throw new Error(`SessionRecorder: layout must be one of ${RECORDING_LAYOUTS.join(', ')}`);
+    }
+    if (this.options.format === 'opus') {
+      throw new Error('SessionRecorder: Opus is not supported, record WAV and convert it offline');
+    }
+    if (!RECORDING_FORMATS.includes(this.options.format)) {
+      throw new Error(`SessionRecorder: format must be one of ${RECORDING_FORMATS.join(', ')}`);
+    }
+
+    this.channels = this.options.layout === 'stereo' ? 2 : 1;
+    this.maxSamples = Math.floor(Math.min(
+      (this.options.maxDurationMs * this.options.sampleRate) / 1000,
+      (this.options.maxBytes - WAV_HEADER_BYTES) / (this.channels * 2),
+    ));
+
+    this.isActive = false;
+    this.startedAtMs = null;
+    this.consentedAtMs = null;
+    this.limitReached = false;
+    this.userTrack = null;
+    this.modelTrack = null;
+    this.removeTaps = [];
+  }
+
+  /**
+   * Starts recording.
+   * @param {Object} params
+   * @param {boolean} params.consent - Everyone in the conversation agreed to be recorded
+   * @returns {boolean} - false without consent or if already recording
+   */
+  start({ consent } = {}) {
+    if (consent !== true) {
+      log.warn('Not recording without consent');
+      return false;
+    }
+    if (this.isActive) {
+      log.warn('Already recording');
+      return false;
+    }
+
+    this.isActive = true;
+    this.startedAtMs = Date.now();
+    this.consentedAtMs = this.startedAtMs;
+    this.limitReached = false;
+    this.userTrack = new Track(this.options.sampleRate);
+    this.modelTrack = new Track(this.options.sampleRate);
+
+    this.removeTaps = [
+      this.session.audioInput.addFrameTap((frame) => this._handleUserFrame(frame)),
+      this.session.audioOutput.addPlaybackTap((event) => this._handlePlayback(event)),
+    ];
+    log.info(`Recording started (${this.options.layout}, ${this.options.sampleRate}Hz)`);
+    return true;
+  }
+
+  isRecording() {
+    return this.isActive;
+  }
+
+  // Timeline offset in recording samples of a Date.now() time
+  _toOffset(wallClockMs) {
+    return ((wallClockMs - this.startedAtMs) * this.options.sampleRate) / 1000;
+  }
+
+  _handleUserFrame({ samples, sampleRate, capturedAtMs }) {
+    if (this.limitReached) {
+      return;
+    }
+    // The frame callback fires once the frame is complete, so it started one frame earlier
+    const startedAtMs = capturedAtMs - (samples.length / sampleRate) * 1000;
+    if (!this.userTrack.write(int16ToFloat32(samples), sampleRate, this._toOffset(startedAtMs), this.maxSamples)) {
+      this._stopAtLimit();
+    }
+  }
+
+  _handlePlayback(event) {
+    if (event.type === 'cleared') {
+      // Keep only what the user heard before the barge-in
+      this.modelTrack.truncate(Math.max(0, Math.round(this._toOffset(event.stopAtMs))));
+      return;
+    }
+    if (this.limitReached) {
+      return;
+    }
+    if (!this.modelTrack.write(event.samples, event.sampleRate, this._toOffset(event.startAtMs), this.maxSamples)) {
+      this._stopAtLimit();
+    }
+  }
+
+  _stopAtLimit() {
+    if (this.limitReached) {
+      return;
+    }
+    this.limitReached = true;
+    log.warn('Size limit reached, the rest of the session is not recorded');
+    this.onLimitReached?.();
+  }
+
+  /**
+   * Converts the tracks into a WAV file one chunk at a time, so only a chunk of
+   * float samples exists besides the output and long sessions don't freeze the UI.
+   * @returns {Promise<Object>} - { wavData: Buffer, length } with length in samples per channel
+   */
+  async _renderWav() {
+    const { channels } = this;
+    const length = Math.min(this.maxSamples, Math.max(this.userTrack.getEnd(), this.modelTrack.getEnd()));
+    const userChunks = this.userTrack.groupByChunk(RENDER_CHUNK_SAMPLES);
+    const modelChunks = this.modelTrack.groupByChunk(RENDER_CHUNK_SAMPLES);
+
+    const dataLength = length * channels * 2;
+    const wavData = Buffer.alloc(WAV_HEADER_BYTES + dataLength);
+    createWavHeader(this.options.sampleRate, 16, channels, dataLength).copy(wavData, 0);
+
+    const user = new Float32Array(RENDER_CHUNK_SAMPLES);
+    const model = new Float32Array(RENDER_CHUNK_SAMPLES);
+    const pcm = new Int16Array(RENDER_CHUNK_SAMPLES * channels);
+    for (let index = 0; index * RENDER_CHUNK_SAMPLES < length; index++) {
+      const start = index * RENDER_CHUNK_SAMPLES;
+      const count = Math.min(RENDER_CHUNK_SAMPLES, length - start);
+      renderBlocks(userChunks.get(index) || [], user, start);
+      renderBlocks(modelChunks.get(index) || [], model, start);
+      for (let i = 0; i < count; i++) {
+        if (channels === 2) {
+          pcm[i * 2] = toInt16(user[i]);
+          pcm[i * 2 + 1] = toInt16(model[i]);
+        } else {
+          pcm[i] = toInt16(user[i] + model[i]);
+        }
+      }
+      // Int16Array uses the platform byte order, which is little-endian like WAV on every device React Native runs on
+      wavData.set(new Uint8Array(pcm.buffer, 0, count * channels * 2), WAV_HEADER_BYTES + start * channels * 2);
+      await yieldToUi();
+    }
+    return { wavData, length };
+  }
+
+  /**
+   * Stops recording and writes the WAV file plus a JSON sidecar with the
+   * consent record to the recordings directory.
+   * @param {Object} [metadata] - Extra fields for the sidecar, e.g. { conversationId }
+   * @returns {Promise<Object|null>} - { uri, metadataUri, startedAt, durationMs, bytes, truncated }, null if nothing was recorded
+   */
+  async stop(metadata = {}) {
+    if (!this.isActive) {
+      return null;
+    }
+    this.isActive = false;
+    this.removeTaps.forEach((removeTap) => removeTap());
+    this.removeTaps = [];
+
+    const { wavData, length } = await this._renderWav();
+    this.userTrack = null;
+    this.modelTrack = null;
+    if (length === 0) {
+      log.info('Nothing was recorded');
+      return null;
+    }
+
+    const { sampleRate, layout } = this.options;
+    const baseName = `recording_${this.startedAtMs}`;
+    const uri = `${RECORDINGS_DIRECTORY}${baseName}.wav`;
+    const metadataUri = `${RECORDINGS_DIRECTORY}${baseName}.json`;
+    const durationMs = Math.round((length / sampleRate) * 1000);
+
+    const info = await FileSystem.getInfoAsync(RECORDINGS_DIRECTORY);
+    if (!info.exists) {
+      await FileSystem.makeDirectoryAsync(RECORDINGS_DIRECTORY, { intermediates: true });
+    }
+    await FileSystem.writeAsStringAsync(uri, await encodeBase64(wavData), {
+      encoding: FileSystem.EncodingType.Base64,
+    });
+    await FileSystem.writeAsStringAsync(metadataUri, JSON.stringify({
+      ...metadata,
+      consent: true,
+      consentedAt: new Date(this.consentedAtMs).toISOString(),
+      startedAt: new Date(this.startedAtMs).toISOString(),
+      durationMs,
+      format: 'wav',
+      layout,
+      channels: layout === 'stereo' ? { left: 'user', right: 'model' } : { mono: 'user+model' },
+      sampleRate,
+      bytes: wavData.length,
+      truncated: this.limitReached,
+    }, null, 2));
+
+    log.info(`Saved ${durationMs}ms (${wavData.length} bytes) to ${uri}`);
+    return {
+      uri,
+      metadataUri,
+      startedAt: this.startedAtMs, // 0:00 of the recording, for aligning captions
+      durationMs,
+      bytes: wavData.length,
+      truncated: this.limitReached,
+    };
+  }
+
+  // Stops without saving anything
+  discard() {
+    this.isActive = false;
+    this.removeTaps.forEach((removeTap) => removeTap());
+    this.removeTaps = [];
+    this.userTrack = null;
+    this.modelTrack = null;
+  }
+}
+
+export default SessionRecorder;
@@ -0,0 +1,136 @@
+// services/ToolRegistry.js
+// Rule VII: Tool Registry - local JS functions the model can call
+
+import { createLogger } from './Logger';
+
+const log = createLogger('ToolRegistry');
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_.-]{0,63}$/;
+
+// The API expects an object as the function response; wrap anything else
+const _toResponseObject = (result) => {
+  if (result !== null && typeof result === 'object' && !Array.isArray(result)) {
+    return result;
+  }
+  return { result: result === undefined ? null : result };
+};
+
+/**
+ * A set of functions the model is allowed to call, plus the calls currently
+ * running. Each GeminiLiveSession uses one registry; sessions may share one.
+ */
+export class ToolRegistry {
+  constructor() {
+    // Registered tools, keyed by function name
+    this.tools = new Map();
+    // AbortControllers for tool calls that are still running, keyed by call id
+    this.inFlightCalls = new Map();
+  }
+
+  /**
+   * Registers a function the model is allowed to call.
+   * @param {Object} tool
+   * @param {string} tool.name - Function name sent to the model (letters, digits, _ . -)
+   * @param {string} tool.description - What the function does; the model relies on this to decide when to call it
+   * @param {Object} [tool.parameters] - JSON-schema object describing the arguments
+   * @param {Function} tool.handler - (args, { signal, id }) => result | Promise<result>
+   * @returns {Function} - Unregister function
+   */
+  registerTool({ name, description, parameters, handler }) {
+    if (typeof name !== 'string' || !TOOL_NAME_PATTERN.test(name)) {
+      throw new Error(`ToolRegistry: Invalid tool name "${name}"`);
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`ToolRegistry: Tool "${name}" needs a handler function`);
+    }
+    if (parameters !== undefined && (typeof parameters !== 'object' || `${parameters.type}`.toLowerCase() !== 'object')) {
+      throw new Error(`ToolRegistry: Parameters of tool "${name}" must be a JSON schema with type "object"`);
+    }
+
+    if (this.tools.has(name)) {
+      log.warn(`Replacing existing tool "${name}"`);
+    }
+
+    const declaration = { name, description: description || '' };
+    if (parameters) {
+      declaration.parameters = parameters;
+    }
+
+    this.tools.set(name, { declaration, handler });
+    log.info(`Registered tool "${name}"`);
+    return () => this.unregisterTool(name);
+  }
+
+  unregisterTool(name) {
+    if (this.tools.delete(name)) {
+      log.info(`Unregistered tool "${name}"`);
+    }
+  }
+
+  hasTools() {
+    return this.tools.size > 0;
+  }
+
+  // Function declarations in the shape expected by setup.tools[].functionDeclarations
+  getFunctionDeclarations() {
+    return Array.from(this.tools.values()).map(({ declaration }) => declaration);
+  }
+
+  /**
+   * Runs a single function call from a toolCall message.
+   * @param {Object} functionCall - { id, name, args } from the server
+   * @returns {Promise<Object|null>} - A functionResponse, or null if the call was cancelled
+   */
+  async executeFunctionCall({ id, name, args }) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      log.warn(`Model called unknown tool "${name}"`);
+      return { id, name, response: { error: `Unknown function: ${name}` } };
+    }
+
+    const controller = new AbortController();
+    this.inFlightCalls.set(id, controller);
+
+    try {
+      log.info(`Running tool "${name}" (call ${id})`);
+      const result = await tool.handler(args || {}, { signal: controller.signal, id });
+
+      if (controller.signal.aborted) {
+        log.info(`Tool call ${id} was cancelled, dropping result`);
+        return null;
+      }
+      return { id, name, response: _toResponseObject(result) };
+    } catch (error) {
+      if (controller.signal.aborted) {
+        log.info(`Tool call ${id} was cancelled`);
+        return null;
+      }
+      log.error(`Tool "${name}" failed:`, error);
+      return { id, name, response: { error: error?.message || String(error) } };
+    } finally {
+      this.inFlightCalls.delete(id);
+    }
+  }
+
+  // Aborts the given in-flight calls (from a toolCallCancellation message)
+  cancelCalls(ids = []) {
+    ids.forEach((id) => {
+      const controller = this.inFlightCalls.get(id);
+      if (controller) {
+        log.info(`Cancelling tool call ${id}`);
+        controller.abort();
+        this.inFlightCalls.delete(id);
+      }
+    });
+  }
+
+  // Aborts everything still running, e.g. when the session ends
+  cancelAllCalls() {
+    this.cancelCalls(Array.from(this.inFlightCalls.keys()));
+  }
+}
+
+// Registry used by the default session (WebSocketService)
+const defaultToolRegistry = new ToolRegistry();
+
+export default defaultToolRegistry;
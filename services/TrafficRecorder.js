@@ -0,0 +1,207 @@
+// services/TrafficRecorder.js
+// Rule II: Traffic Recorder - captures a session's WebSocket frames into a JSONL cassette
+
+import { Buffer } from 'buffer';
+import * as FileSystem from 'expo-file-system';
+import { createLogger } from './Logger';
+
+const log = createLogger('TrafficRecorder');
+
+export const CASSETTE_VERSION = 1;
+
+export const DEFAULT_CAPTURE_OPTIONS = {
+  includeOutgoingAudio: true, // Microphone audio is most of the outgoing bytes; replay doesn't need it
+  maxBytes: 32 * 1024 * 1024, // The cassette is held in memory until save()
+};
+
+const CASSETTES_DIRECTORY = `${FileSystem.documentDirectory}cassettes/`;
+
+// The API key (or token) in the query string never goes into a cassette
+export const redactUrl = (url) => url.replace(/([?&](?:key|access_token)=)[^&]*/g, '$1REDACTED');
+
+const isOutgoingAudio = (data) => typeof data === 'string' && data.startsWith('{"realtimeInput":{"audio"');
+
+// Text frames are kept as they are, binary ones as base64
+const encodeFrame = (data) => {
+  if (typeof data === 'string') {
+    return { data };
+  }
+  if (data instanceof ArrayBuffer) {
+    return { data: Buffer.from(new Uint8Array(data)).toString('base64'), encoding: 'base64' };
+  }
+  if (ArrayBuffer.isView(data)) {
+    return { data: Buffer.from(data.buffer, data.byteOffset, data.byteLength).toString('base64'), encoding: 'base64' };
+  }
+  return { data: String(data) };
+};
+
+/**
+ * Records every frame a session sends and receives, plus the socket's open,
+ * error and close events, with millisecond offsets from the start of the
+ * capture. Each socket is one numbered connection, so reconnects replay in
+ * order (see ReplayTransport.js).
+ *
+ * Cassette: JSON lines; the first is a header
+ *   { type: 'cassette', version, createdAt, startedAt, truncated, model }
+ * and every other line an entry
+ *   { t, conn, dir: 'out' | 'in', event: 'connect' | 'open' | 'message' | 'error' | 'close', ... }
+ * where 'connect' carries the redacted url, 'message' carries data (and
+ * encoding: 'base64' for binary frames), and 'close' carries code and reason.
+ * An outgoing 'close' is the app hanging up.
+ */
+class TrafficRecorder {
+  /**
+   * @param {Object} [options] - See DEFAULT_CAPTURE_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_CAPTURE_OPTIONS, ...options };
+    this.entries = [];
+    this.bytes = 0;
+    this.connectionCount = 0;
+    this.startedAtMs = null;
+    this.isActive = false;
+    this.truncated = false;
+    this.metadata = {};
+  }
+
+  /**
+   * @param {Object} [metadata] - Written to the header, e.g. { model }
+   */
+  start(metadata = {}) {
+    this.entries = [];
+    this.bytes = 0;
+    this.connectionCount = 0;
+    this.startedAtMs = Date.now();
+    this.isActive = true;
+    this.truncated = false;
+    this.metadata = metadata;
+    log.info('Capture started');
+  }
+
+  isRecording() {
+    return this.isActive;
+  }
+
+  // Pushes the entry and returns it, so a Blob frame can fill in its data once it has been read
+  _record(entry) {
+    if (!this.isActive || this.truncated) {
+      return null;
+    }
+    const size = (entry.data ? entry.data.length : 0) + 64;
+    if (this.bytes + size > this.options.maxBytes) {
+      this.truncated = true;
+      this.entries.push({ t: Date.now() - this.startedAtMs, conn: entry.conn, dir: 'in', event: 'truncated' });
+      log.warn('Size limit reached, the rest of the session is not captured');
+      return null;
+    }
+    this.bytes += size;
+    const recorded = { t: Date.now() - this.startedAtMs, ...entry };
+    this.entries.push(recorded);
+    return recorded;
+  }
+
+  _recordIncoming(conn, data) {
+    if (typeof Blob !== 'undefined' && data instanceof Blob) {
+      const entry = this._record({ conn, dir: 'in', event: 'message', data: '', encoding: 'base64' });
+      if (!entry) {
+        return;
+      }
+      const reader = new FileReader();
+      reader.onload = () => {
+        const encoded = encodeFrame(reader.result).data;
+        entry.data = encoded;
+        this.bytes += encoded.length;
+      };
+      reader.readAsArrayBuffer(data);
+      return;
+    }
+    this._record({ conn, dir: 'in', event: 'message', ...encodeFrame(data) });
+  }
+
+  /**
+   * Starts capturing an open or opening socket. Its send() and close() are
+   * wrapped and the other events are observed with addEventListener, so the
+   * session's own handlers are untouched.
+   * @param {WebSocket} socket
+   * @param {string} url
+   * @returns {WebSocket} - The same socket
+   */
+  attach(socket, url) {
+    const conn = this.connectionCount++;
+    this._record({ conn, dir: 'out', event: 'connect', url: redactUrl(url) });
+
+    const send = socket.send.bind(socket);
+    socket.send = (data) => {
+      if (this.options.includeOutgoingAudio || !isOutgoingAudio(data)) {
+        this._record({ conn, dir: 'out', event: 'message', ...encodeFrame(data) });
+      }
+      send(data);
+    };
+    const close = socket.close.bind(socket);
+    socket.close = (...args) => {
+      this._record({ conn, dir: 'out', event: 'close', code: args[0] ?? null });
+      close(...args);
+    };
+
+    socket.addEventListener('open', () => this._record({ conn, dir: 'in', event: 'open' }));
+    socket.addEventListener('message', (event) => this._recordIncoming(conn, event.data));
+    socket.addEventListener('error', (event) => {
+      this._record({ conn, dir: 'in', event: 'error', message: event?.message || null });
+    });
+    socket.addEventListener('close', (event) => {
+      this._record({ conn, dir: 'in', event: 'close', code: event?.code ?? null, reason: event?.reason || '' });
+    });
+    return socket;
+  }
+
+  /**
+   * Wraps a socket factory so every socket it creates is captured.
+   * @param {Function} createSocket - (url) => WebSocket
+   * @returns {Function}
+   */
+  wrapSocketFactory(createSocket) {
+    return (url) => this.attach(createSocket(url), url);
+  }
+
+  // Stops capturing; the entries stay available for toJsonl() and save()
+  stop() {
+    this.isActive = false;
+  }
+
+  toJsonl() {
+    const header = {
+      type: 'cassette',
+      version: CASSETTE_VERSION,
+      createdAt: new Date(this.startedAtMs).toISOString(),
+      startedAt: this.startedAtMs,
+      truncated: this.truncated,
+      ...this.metadata,
+    };
+    return [header, ...this.entries].map((line) => JSON.stringify(line)).join('\n') + '\n';
+  }
+
+  /**
+   * Stops capturing and writes the cassette to the cassettes directory.
+   * @returns {Promise<Object|null>} - { uri, entries, bytes, truncated }, null if nothing was captured
+   */
+  async save() {
+    this.stop();
+    if (this.entries.length === 0) {
+      log.info('Nothing was captured');
+      return null;
+    }
+
+    const uri = `${CASSETTES_DIRECTORY}cassette_${this.startedAtMs}.jsonl`;
+    const content = this.toJsonl();
+    const info = await FileSystem.getInfoAsync(CASSETTES_DIRECTORY);
+    if (!info.exists) {
+      await FileSystem.makeDirectoryAsync(CASSETTES_DIRECTORY, { intermediates: true });
+    }
+    await FileSystem.writeAsStringAsync(uri, content);
+
+    log.info(`Saved ${this.entries.length} entries (${content.length} bytes) to ${uri}`);
+    return { uri, entries: this.entries.length, bytes: content.length, truncated: this.truncated };
+  }
+}
+
+export default TrafficRecorder;
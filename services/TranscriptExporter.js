@@ -0,0 +1,224 @@
+// services/TranscriptExporter.js
+// Rule X: Transcript Exporter - Markdown, JSON, SRT and WebVTT exports of a conversation
+
+import * as FileSystem from 'expo-file-system';
+import { Platform, Share } from 'react-native';
+import { formatCostUsd } from './UsageTracker';
+import { createLogger } from './Logger';
+
+const log = createLogger('TranscriptExporter');
+
+export const EXPORT_FORMATS = ['markdown', 'json', 'srt', 'vtt'];
+
+const FORMAT_DETAILS = {
+  markdown: { extension: 'md', mimeType: 'text/markdown' },
+  json: { extension: 'json', mimeType: 'application/json' },
+  srt: { extension: 'srt', mimeType: 'application/x-subrip' },
+  vtt: { extension: 'vtt', mimeType: 'text/vtt' },
+};
+
+const DEFAULT_SPEAKER_LABELS = { user: 'User', model: 'Gemini' };
+
+const MIN_CUE_MS = 1000; // Short turns still stay on screen long enough to read
+const MAX_CUE_CHARS = 84; // Two caption lines of 42 characters
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// 'HH:MM:SS' followed by the millisecond separator of the caption format
+const formatTimestamp = (ms, separator) => {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`;
+};
+
+// 'M:SS' offsets for the Markdown transcript
+const formatOffset = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(totalSeconds / 60)}:${pad(totalSeconds % 60)}`;
+};
+
+/**
+ * Turn start and end relative to the start of the timeline. The timeline
+ * starts with the conversation's audio recording if it has one, otherwise when
+ * the conversation started, unless timelineStartMs is given.
+ */
+const timeTurns = (conversation, { timelineStartMs } = {}) => {
+  const origin = timelineStartMs ?? conversation.recording?.startedAt ?? conversation.startedAt;
+  return conversation.turns.map((turn) => {
+    const startMs = Math.max(0, turn.startedAt - origin);
+    const endMs = Math.max(startMs + MIN_CUE_MS, (turn.updatedAt ?? turn.startedAt) - origin);
+    return { ...turn, startMs, endMs };
+  });
+};
+
+// Splits a long turn into caption-sized cues, sharing its time by text length
+const splitIntoCues = (text, startMs, endMs) => {
+  const chunks = [];
+  let current = '';
+  text.trim().split(/\s+/).forEach((word) => {
+    if (current && current.length + 1 + word.length > MAX_CUE_CHARS) {
+      chunks.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  });
+  if (current) {
+    chunks.push(current);
+  }
+
+  const totalChars = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  let cueStart = startMs;
+  return chunks.map((chunk, index) => {
+    const cueEnd = index === chunks.length - 1
+      ? endMs
+      : cueStart + ((endMs - startMs) * chunk.length) / totalChars;
+    const cue = { text: chunk, startMs: cueStart, endMs: cueEnd };
+    cueStart = cueEnd;
+    return cue;
+  });
+};
+
+const buildCues = (conversation, options) => timeTurns(conversation, options)
+  .flatMap((turn) => splitIntoCues(turn.text, turn.startMs, turn.endMs)
+    .map((cue) => ({ ...cue, speaker: turn.speaker })));
+
+const escapeVtt = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * @param {Object} conversation - A conversation from ConversationStore
+ * @param {Object} [options]
+ * @param {Object} [options.speakerLabels] - { user, model }
+ * @returns {string}
+ */
+export const toMarkdown = (conversation, { speakerLabels = DEFAULT_SPEAKER_LABELS, ...options } = {}) => {
+  const lines = [
+    `# ${conversation.title || 'Conversation'}`,
+    '',
+    `- Date: ${new Date(conversation.startedAt).toLocaleString()}`,
+    `- Duration: ${formatOffset(conversation.durationMs || 0)}`,
+  ];
+  if (conversation.config?.model) {
+    lines.push(`- Model: ${conversation.config.model}`);
+  }
+  if (conversation.usage) {
+    lines.push(`- Tokens: ${conversation.usage.totalTokens} (estimated cost ${formatCostUsd(conversation.usage.costUsd)})`);
+  }
+  lines.push('');
+
+  timeTurns(conversation, options).forEach((turn) => {
+    const label = speakerLabels[turn.speaker] || turn.speaker;
+    const notes = [turn.source === 'text' ? 'typed' : null, turn.interrupted ? 'interrupted' : null].filter(Boolean);
+    const suffix = notes.length > 0 ? ` _(${notes.join(', ')})_` : '';
+    lines.push(`**${label}** (${formatOffset(turn.startMs)}): ${turn.text.trim()}${suffix}`, '');
+  });
+
+  return lines.join('\n');
+};
+
+/**
+ * Structured export; times are ISO strings plus millisecond offsets on the timeline.
+ * @returns {string}
+ */
+export const toJson = (conversation, options = {}) => JSON.stringify({
+  title: conversation.title || null,
+  startedAt: new Date(conversation.startedAt).toISOString(),
+  endedAt: conversation.endedAt ? new Date(conversation.endedAt).toISOString() : null,
+  durationMs: conversation.durationMs || 0,
+  config: conversation.config || {},
+  usage: conversation.usage || null,
+  turns: timeTurns(conversation, options).map((turn) => ({
+    speaker: turn.speaker,
+    text: turn.text,
+    source: turn.source,
+    interrupted: Boolean(turn.interrupted),
+    startedAt: new Date(turn.startedAt).toISOString(),
+    startMs: turn.startMs,
+    endMs: turn.endMs,
+  })),
+}, null, 2);
+
+/**
+ * SubRip captions on the session audio timeline.
+ * @param {Object} conversation
+ * @param {Object} [options]
+ * @param {number} [options.timelineStartMs] - Epoch ms that maps to 00:00:00 (defaults to the recording or conversation start)
+ * @param {Object} [options.speakerLabels]
+ * @returns {string}
+ */
+export const toSrt = (conversation, { speakerLabels = DEFAULT_SPEAKER_LABELS, ...options } = {}) => buildCues(conversation, options)
+  .map((cue, index) => [
+    index + 1,
+    `${formatTimestamp(cue.startMs, ',')} --> ${formatTimestamp(cue.endMs, ',')}`,
+    `${speakerLabels[cue.speaker] || cue.speaker}: ${cue.text}`,
+    '',
+  ].join('\n'))
+  .join('\n');
+
+/**
+ * WebVTT captions with voice spans; same options as toSrt.
+ * @returns {string}
+ */
+export const toWebVtt = (conversation, { speakerLabels = DEFAULT_SPEAKER_LABELS, ...options } = {}) => [
+  'WEBVTT',
+  '',
+  ...buildCues(conversation, options).map((cue) => [
+    `${formatTimestamp(cue.startMs, '.')} --> ${formatTimestamp(cue.endMs, '.')}`,
+    `<v ${speakerLabels[cue.speaker] || cue.speaker}>${escapeVtt(cue.text)}`,
+    '',
+  ].join('\n')),
+].join('\n');
+
+const SERIALIZERS = { markdown: toMarkdown, json: toJson, srt: toSrt, vtt: toWebVtt };
+
+/**
+ * @param {Object} conversation - A conversation from ConversationStore
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Object} [options] - Passed to the serializer
+ * @returns {Object} - { content, fileName, mimeType }
+ */
+export const exportTranscript = (conversation, format, options = {}) => {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`TranscriptExporter: Unknown format "${format}"`);
+  }
+  const { extension, mimeType } = FORMAT_DETAILS[format];
+  const baseName = (conversation.title || 'conversation')
+    .replace(/[^a-zA-Z0-9-_ ]/g, '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .substring(0, 40) || 'conversation';
+  const date = new Date(conversation.startedAt).toISOString().substring(0, 10);
+
+  return {
+    content: SERIALIZERS[format](conversation, options),
+    fileName: `${baseName}-${date}.${extension}`,
+    mimeType,
+  };
+};
+
+/**
+ * Writes the export to the cache directory and opens the native share sheet.
+ * iOS shares the file; Android's share sheet only takes text, so it gets the content.
+ * @returns {Promise<Object>} - Result of Share.share
+ */
+export const shareTranscript = async (conversation, format, options = {}) => {
+  const { content, fileName } = exportTranscript(conversation, format, options);
+  const fileUri = `${FileSystem.cacheDirectory}${fileName}`;
+  await FileSystem.writeAsStringAsync(fileUri, content);
+  log.info(`Wrote ${format} export to ${fileUri}`);
+
+  const shareContent = Platform.OS === 'ios' ? { title: fileName, url: fileUri } : { title: fileName, message: content };
+  return Share.share(shareContent, { subject: fileName });
+};
+
+export default {
+  EXPORT_FORMATS,
+  exportTranscript,
+  shareTranscript,
+  toMarkdown,
+  toJson,
+  toSrt,
+  toWebVtt,
+};
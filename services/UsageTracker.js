@@ -0,0 +1,223 @@
+// services/UsageTracker.js
+// Rule XIII: Usage Tracker - token counts per turn and session, estimated cost and budget limits
+
+import { MODEL_PRICING } from '../config';
+import { createLogger } from './Logger';
+
+const log = createLogger('UsageTracker');
+
+const emptyUsage = () => ({
+  promptTokens: 0,
+  responseTokens: 0,
+  totalTokens: 0,
+  promptByModality: {}, // e.g. { AUDIO: 812, TEXT: 40 }
+  responseByModality: {},
+});
+
+const addTokens = (byModality, modality, tokenCount) => {
+  if (tokenCount > 0) {
+    byModality[modality] = (byModality[modality] || 0) + tokenCount;
+  }
+};
+
+// Adds [{ modality, tokenCount }] to byModality; returns how many tokens they covered
+const addDetails = (byModality, details = []) => details.reduce((covered, { modality, tokenCount = 0 }) => {
+  addTokens(byModality, modality || 'TEXT', tokenCount);
+  return covered + tokenCount;
+}, 0);
+
+/**
+ * Token counts of one usageMetadata message. Tool-use prompt tokens count as
+ * prompt and thinking tokens as response; whatever the per-modality details
+ * don't cover is counted as TEXT.
+ * @param {Object} metadata - usageMetadata as sent by the server
+ * @returns {Object} - { promptTokens, responseTokens, totalTokens, promptByModality, responseByModality }
+ */
+export const readUsageMetadata = (metadata) => {
+  const usage = emptyUsage();
+
+  usage.promptTokens = (metadata.promptTokenCount || 0) + (metadata.toolUsePromptTokenCount || 0);
+  const promptCovered = addDetails(usage.promptByModality, metadata.promptTokensDetails)
+    + addDetails(usage.promptByModality, metadata.toolUsePromptTokensDetails);
+  addTokens(usage.promptByModality, 'TEXT', usage.promptTokens - promptCovered);
+
+  usage.responseTokens = (metadata.responseTokenCount || 0) + (metadata.thoughtsTokenCount || 0);
+  const responseCovered = addDetails(usage.responseByModality, metadata.responseTokensDetails);
+  addTokens(usage.responseByModality, 'TEXT', usage.responseTokens - responseCovered);
+
+  usage.totalTokens = metadata.totalTokenCount || usage.promptTokens + usage.responseTokens;
+  return usage;
+};
+
+const addUsage = (target, usage) => {
+  target.promptTokens += usage.promptTokens;
+  target.responseTokens += usage.responseTokens;
+  target.totalTokens += usage.totalTokens;
+  Object.entries(usage.promptByModality).forEach(([modality, count]) => addTokens(target.promptByModality, modality, count));
+  Object.entries(usage.responseByModality).forEach(([modality, count]) => addTokens(target.responseByModality, modality, count));
+};
+
+// Copy that later additions to the original don't change
+const copyUsage = (usage) => ({
+  ...usage,
+  promptByModality: { ...usage.promptByModality },
+  responseByModality: { ...usage.responseByModality },
+});
+
+/**
+ * Estimated cost in USD; modalities missing from the price table are charged at its TEXT rate.
+ * @param {Object} usage - As returned by readUsageMetadata
+ * @param {Object|undefined} prices - One model's entry of MODEL_PRICING
+ * @returns {number|null} - null without prices
+ */
+export const estimateCostUsd = (usage, prices) => {
+  if (!prices) {
+    return null;
+  }
+  const cost = (byModality, rates) => Object.entries(byModality)
+    .reduce((sum, [modality, count]) => sum + count * (rates[modality] ?? rates.TEXT ?? 0), 0);
+  return (cost(usage.promptByModality, prices.input) + cost(usage.responseByModality, prices.output)) / 1000000;
+};
+
+// '$0.0042' below a cent, '$1.37' otherwise
+export const formatCostUsd = (costUsd) => {
+  if (costUsd === null || costUsd === undefined) {
+    return 'n/a';
+  }
+  return `$${costUsd.toFixed(costUsd < 0.01 ? 4 : 2)}`;
+};
+
+/**
+ * Adds up the usageMetadata of one session per model turn and for the whole
+ * conversation, prices it with the table for the session's model and reports
+ * when the session's budget limits (options.budget) are crossed.
+ *
+ * usageMetadata may arrive in its own message after the content of a turn, so
+ * usage that comes in before the model has started a new response is added to
+ * the turn that just ended.
+ */
+class UsageTracker {
+  /**
+   * @param {Object} params
+   * @param {Object} params.session - GeminiLiveSession to observe
+   * @param {Object} [params.pricing] - Price table keyed by model; MODEL_PRICING from config.js by default
+   * @param {Function} [params.onBudgetExceeded] - ({ level: 'soft' | 'hard', costUsd, limitUsd }) => void,
+   *   called at most once per level and conversation
+   */
+  constructor({ session, pricing = MODEL_PRICING, onBudgetExceeded }) {
+    this.session = session;
+    this.pricing = pricing;
+    this.onBudgetExceeded = onBudgetExceeded;
+    this.unsubscribers = [];
+    this.unpricedModels = new Set(); // Warned about once each
+    this.reset();
+  }
+
+  start() {
+    if (this.unsubscribers.length > 0) {
+      return;
+    }
+    this.unsubscribers = [
+      this.session.on('usage', (metadata) => this._handleUsage(metadata)),
+      this.session.on('audio', () => this._handleModelOutput()),
+      this.session.on('transcript', ({ type }) => type === 'model' && this._handleModelOutput()),
+      this.session.on('turnComplete', () => this._handleTurnEnd(false)),
+      this.session.on('interrupted', () => this._handleTurnEnd(true)),
+    ];
+  }
+
+  stop() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers = [];
+  }
+
+  // Starts a new conversation
+  reset() {
+    this.total = emptyUsage();
+    this.turns = []; // Finished turns: usage plus { interrupted, endedAt }
+    this.currentTurn = emptyUsage();
+    this.isResponding = false; // Model output seen since the last turn end
+    this.reportedLevels = new Set();
+  }
+
+  _prices() {
+    const { model } = this.session.getSessionOptions();
+    const prices = this.pricing[model];
+    if (!prices && !this.unpricedModels.has(model)) {
+      this.unpricedModels.add(model);
+      log.warn(`No prices for ${model}; costs are not estimated`);
+    }
+    return prices;
+  }
+
+  _handleModelOutput() {
+    this.isResponding = true;
+  }
+
+  _handleUsage(metadata) {
+    const usage = readUsageMetadata(metadata);
+    addUsage(this.total, usage);
+
+    const lastTurn = this.turns[this.turns.length - 1];
+    if (!this.isResponding && lastTurn && this.currentTurn.totalTokens === 0) {
+      addUsage(lastTurn, usage);
+    } else {
+      addUsage(this.currentTurn, usage);
+    }
+    this._checkBudget();
+  }
+
+  _handleTurnEnd(interrupted) {
+    if (this.isResponding || this.currentTurn.totalTokens > 0) {
+      this.turns.push({ ...this.currentTurn, interrupted, endedAt: Date.now() });
+    }
+    this.currentTurn = emptyUsage();
+    this.isResponding = false;
+  }
+
+  _checkBudget() {
+    const costUsd = estimateCostUsd(this.total, this._prices());
+    if (costUsd === null) {
+      return;
+    }
+    const { softLimitUsd, hardLimitUsd } = this.session.getSessionOptions().budget || {};
+
+    // Crossing both at once only reports the hard limit
+    const level = [['hard', hardLimitUsd], ['soft', softLimitUsd]]
+      .find(([, limitUsd]) => limitUsd !== null && limitUsd !== undefined && costUsd >= limitUsd);
+    if (!level || this.reportedLevels.has(level[0])) {
+      return;
+    }
+    this.reportedLevels.add('soft');
+    this.reportedLevels.add(level[0]);
+    log.warn(`Conversation cost ${formatCostUsd(costUsd)} reached the ${level[0]} limit of ${formatCostUsd(level[1])}`);
+    this.onBudgetExceeded?.({ level: level[0], costUsd, limitUsd: level[1] });
+  }
+
+  /**
+   * @returns {Object} - { model, promptTokens, responseTokens, totalTokens, promptByModality,
+   *   responseByModality, costUsd, turns: [{ ...the same counts, costUsd, interrupted, endedAt }] };
+   *   costUsd is null when the model has no prices, endedAt null for a turn still in progress
+   */
+  getSummary() {
+    const { model } = this.session.getSessionOptions();
+    const prices = this._prices();
+    // E.g. the turn that was cut off by the hard budget limit
+    const openTurn = this.currentTurn.totalTokens > 0 ? [{ ...this.currentTurn, interrupted: false, endedAt: null }] : [];
+    return {
+      model,
+      ...copyUsage(this.total),
+      costUsd: estimateCostUsd(this.total, prices),
+      turns: [...this.turns, ...openTurn].map((turn) => ({ ...copyUsage(turn), costUsd: estimateCostUsd(turn, prices) })),
+    };
+  }
+
+  logSummary() {
+    const { totalTokens, promptTokens, responseTokens, costUsd, turns } = this.getSummary();
+    if (totalTokens > 0) {
+      log.info(`${totalTokens} tokens (${promptTokens} prompt, ${responseTokens} response) in ${turns.length} turns, estimated ${formatCostUsd(costUsd)}`);
+    }
+  }
+}
+
+export default UsageTracker;
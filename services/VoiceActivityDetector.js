@@ -0,0 +1,138 @@
+// services/VoiceActivityDetector.js
+// Rule III: Voice Activity Detector - energy / zero-crossing speech detection on microphone frames
+
+export const VAD_MODES = ['server', 'local', 'client'];
+
+export const DEFAULT_VAD_OPTIONS = {
+  // 'server': the server's automatic activity detection decides turns, no local VAD
+  // 'local': the local VAD only reports voiceActivity events, the server still decides turns
+  // 'client': automatic activity detection is disabled and the local VAD sends activityStart/activityEnd
+  mode: 'server',
+  minEnergyDb: -50, // Frames quieter than this (dBFS) are never speech
+  noiseMarginDb: 12, // Speech must be this much louder than the tracked noise floor
+  zcrMin: 0.01, // Zero-crossing rate range of voiced speech; hiss and clicks fall outside it
+  zcrMax: 0.35,
+  attackMs: 64, // Voiced audio needed before speech starts
+  hangoverMs: 600, // Silence needed before speech ends, so short pauses don't end the turn
+  noiseFloorRate: 0.05, // How fast the noise floor follows non-speech frames (0-1 per frame)
+};
+
+const MIN_DB = -100;
+
+/**
+ * Frame-by-frame speech detector. Feed it every captured frame in order; it
+ * tracks the room's noise floor and reports when speech starts and ends.
+ */
+class VoiceActivityDetector {
+  /**
+   * @param {Object} [options] - See DEFAULT_VAD_OPTIONS
+   * @param {number} frameDurationMs - Duration of one frame passed to process()
+   */
+  constructor(options = {}, frameDurationMs) {
+    this.options = { ...DEFAULT_VAD_OPTIONS, ...options };
+    this.attackFrames = Math.max(1, Math.round(this.options.attackMs / frameDurationMs));
+    this.hangoverFrames = Math.max(1, Math.round(this.options.hangoverMs / frameDurationMs));
+    this.reset();
+  }
+
+  reset() {
+    this.isSpeaking = false;
+    this.voicedRun = 0;
+    this.silenceRun = 0;
+    // Start so that the effective threshold is minEnergyDb until the floor is learned
+    this.noiseFloorDb = this.options.minEnergyDb - this.options.noiseMarginDb;
+  }
+
+  /**
+   * Analyses one frame of PCM16 samples.
+   * @param {Int16Array|Array<number>} frame
+   * @returns {Object} - { isSpeaking, event: 'start' | 'end' | null, energyDb, zcr }
+   */
+  process(frame) {
+    const { energyDb, zcr } = this._analyse(frame);
+    const { minEnergyDb, noiseMarginDb, zcrMin, zcrMax, noiseFloorRate } = this.options;
+
+    const threshold = Math.max(minEnergyDb, this.noiseFloorDb + noiseMarginDb);
+    const isVoiced = energyDb > threshold && zcr >= zcrMin && zcr <= zcrMax;
+    let event = null;
+
+    if (!this.isSpeaking) {
+      this.voicedRun = isVoiced ? this.voicedRun + 1 : 0;
+      if (this.voicedRun >= this.attackFrames) {
+        this.isSpeaking = true;
+        this.silenceRun = 0;
+        event = 'start';
+      }
+    } else {
+      this.silenceRun = isVoiced ? 0 : this.silenceRun + 1;
+      if (this.silenceRun >= this.hangoverFrames) {
+        this.isSpeaking = false;
+        this.voicedRun = 0;
+        event = 'end';
+      }
+    }
+
+    // The floor drops immediately on quieter frames and rises slowly, and only a
+    // tenth as fast during speech, so steady background noise can't hold a turn open
+    if (energyDb < this.noiseFloorDb) {
+      this.noiseFloorDb = energyDb;
+    } else {
+      const rate = this.isSpeaking ? noiseFloorRate / 10 : noiseFloorRate;
+      this.noiseFloorDb += rate * (energyDb - this.noiseFloorDb);
+    }
+
+    return { isSpeaking: this.isSpeaking, event, energyDb, zcr };
+  }
+
+  _analyse(frame) {
+    const length = frame.length;
+    if (length === 0) {
+      return { energyDb: MIN_DB, zcr: 0 };
+    }
+
+    let sumSquares = 0;
+    let crossings = 0;
+    for (let i = 0; i < length; i++) {
+      const sample = frame[i] / 32768;
+      sumSquares += sample * sample;
+      if (i > 0 && (frame[i] >= 0) !== (frame[i - 1] >= 0)) {
+        crossings++;
+      }
+    }
+
+    const rms = Math.sqrt(sumSquares / length);
+    const energyDb = rms > 0 ? Math.max(MIN_DB, 20 * Math.log10(rms)) : MIN_DB;
+    return { energyDb, zcr: length > 1 ? crossings / (length - 1) : 0 };
+  }
+}
+
+/**
+ * Validates VAD options (already merged over DEFAULT_VAD_OPTIONS).
+ * @returns {Array<string>} - Problems, empty when valid
+ */
+export const validateVadOptions = (vad) => {
+  const errors = [];
+  if (!VAD_MODES.includes(vad.mode)) {
+    errors.push(`vad.mode must be one of ${VAD_MODES.join(', ')}`);
+  }
+  ['minEnergyDb', 'noiseMarginDb', 'zcrMin', 'zcrMax', 'attackMs', 'hangoverMs', 'noiseFloorRate'].forEach((key) => {
+    if (typeof vad[key] !== 'number' || Number.isNaN(vad[key])) {
+      errors.push(`vad.${key} must be a number`);
+    }
+  });
+  if (vad.minEnergyDb > 0) {
+    errors.push('vad.minEnergyDb must be in dBFS (0 or below)');
+  }
+  if (!(vad.zcrMin >= 0 && vad.zcrMin < vad.zcrMax && vad.zcrMax <= 1)) {
+    errors.push('vad.zcrMin and vad.zcrMax must satisfy 0 <= zcrMin < zcrMax <= 1');
+  }
+  if (vad.attackMs < 0 || vad.hangoverMs < 0) {
+    errors.push('vad.attackMs and vad.hangoverMs must not be negative');
+  }
+  if (!(vad.noiseFloorRate > 0 && vad.noiseFloorRate <= 1)) {
+    errors.push('vad.noiseFloorRate must be between 0 (exclusive) and 1');
+  }
+  return errors;
+};
+
+export default VoiceActivityDetector;
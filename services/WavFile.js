@@ -0,0 +1,59 @@
+// services/WavFile.js
+// Rule III: WAV File - RIFF/WAVE container for 16-bit PCM
+
+import { Buffer } from 'buffer';
+
+export const WAV_HEADER_BYTES = 44;
+
+/**
+ * Creates a WAV header with the specified audio parameters
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} bitsPerSample - Bits per sample (8, 16, etc.)
+ * @param {number} numChannels - Number of channels (1 for mono, 2 for stereo)
+ * @param {number} dataLength - Length of audio data in bytes
+ * @returns {Buffer} - WAV header as a Buffer
+ */
+export const createWavHeader = (sampleRate, bitsPerSample, numChannels, dataLength) => {
+  const byteRate = (sampleRate * numChannels * bitsPerSample) / 8;
+  const blockAlign = (numChannels * bitsPerSample) / 8;
+  const buffer = Buffer.alloc(WAV_HEADER_BYTES);
+
+  // RIFF header
+  buffer.write('RIFF', 0); // ChunkID
+  buffer.writeUInt32LE(36 + dataLength, 4); // ChunkSize: 36 + SubChunk2Size
+  buffer.write('WAVE', 8); // Format
+
+  // fmt subchunk
+  buffer.write('fmt ', 12); // SubChunk1ID
+  buffer.writeUInt32LE(16, 16); // SubChunk1Size (16 for PCM)
+  buffer.writeUInt16LE(1, 20); // AudioFormat (1 for PCM)
+  buffer.writeUInt16LE(numChannels, 22); // NumChannels
+  buffer.writeUInt32LE(sampleRate, 24); // SampleRate
+  buffer.writeUInt32LE(byteRate, 28); // ByteRate
+  buffer.writeUInt16LE(blockAlign, 32); // BlockAlign
+  buffer.writeUInt16LE(bitsPerSample, 34); // BitsPerSample
+
+  // data subchunk
+  buffer.write('data', 36); // SubChunk2ID
+  buffer.writeUInt32LE(dataLength, 40); // SubChunk2Size
+
+  return buffer;
+};
+
+/**
+ * Creates a WAV file from PCM data
+ * @param {Uint8Array|ArrayBuffer} pcmData - Raw PCM audio data, interleaved when there are several channels
+ * @param {number} sampleRate - Sample rate in Hz (e.g., 24000 for Gemini API)
+ * @param {number} numChannels - Number of audio channels (1 for mono, 2 for stereo)
+ * @param {number} bitsPerSample - Bits per sample (usually 16)
+ * @returns {Buffer} - WAV file data as a Buffer
+ */
+export const createWavFromPcm = (pcmData, sampleRate, numChannels, bitsPerSample) => {
+  const pcmBytes = pcmData instanceof ArrayBuffer ? new Uint8Array(pcmData) : pcmData;
+  const header = createWavHeader(sampleRate, bitsPerSample, numChannels, pcmBytes.length);
+
+  const wavData = Buffer.alloc(header.length + pcmBytes.length);
+  header.copy(wavData, 0);
+  wavData.set(pcmBytes, header.length);
+  return wavData;
+};
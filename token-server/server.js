@@ -0,0 +1,123 @@
+// token-server/server.js
+// Companion service that mints short-lived Gemini Live tokens, so the app never holds the API key.
+//
+// Usage: GEMINI_API_KEY=... node token-server/server.js [--port 8787] [--uses 1] [--expire-minutes 30] [--new-session-minutes 1]
+//        node token-server/server.js --fake   (made-up tokens, for use with the mock server)
+//
+// POST /token answers { token, expireTime, newSessionExpireTime, uses }. Put the
+// server behind your own user authentication before exposing it to the internet:
+// anyone who can call it can use your quota.
+
+const http = require('http');
+const crypto = require('crypto');
+
+const DEFAULT_PORT = 8787;
+const AUTH_TOKENS_URL = 'https://generativelanguage.googleapis.com/v1alpha/auth_tokens';
+
+// --- CLI --- START ---
+
+const parseArgs = (argv) => {
+  const args = { port: DEFAULT_PORT, uses: 1, expireMinutes: 30, newSessionMinutes: 1, fake: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') args.port = parseInt(argv[++i], 10);
+    else if (arg === '--uses') args.uses = parseInt(argv[++i], 10);
+    else if (arg === '--expire-minutes') args.expireMinutes = parseFloat(argv[++i]);
+    else if (arg === '--new-session-minutes') args.newSessionMinutes = parseFloat(argv[++i]);
+    else if (arg === '--fake') args.fake = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  return args;
+};
+
+// --- CLI --- END ---
+
+// --- Minting --- START ---
+
+const expiryTimes = ({ expireMinutes, newSessionMinutes }) => {
+  const now = Date.now();
+  return {
+    expireTime: new Date(now + expireMinutes * 60000).toISOString(),
+    newSessionExpireTime: new Date(now + newSessionMinutes * 60000).toISOString(),
+  };
+};
+
+// Asks the Gemini API for an ephemeral token; its resource name is the token itself
+const mintToken = async (apiKey, args) => {
+  const times = expiryTimes(args);
+  const response = await fetch(AUTH_TOKENS_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+    body: JSON.stringify({ uses: args.uses, ...times }),
+  });
+  if (!response.ok) {
+    throw new Error(`auth_tokens returned HTTP ${response.status}: ${await response.text()}`);
+  }
+  const body = await response.json();
+  return {
+    token: body.name,
+    expireTime: body.expireTime || times.expireTime,
+    newSessionExpireTime: body.newSessionExpireTime || times.newSessionExpireTime,
+    uses: body.uses || args.uses,
+  };
+};
+
+const mintFakeToken = async (args) => ({
+  token: `auth_tokens/fake-${crypto.randomBytes(12).toString('hex')}`,
+  ...expiryTimes(args),
+  uses: args.uses,
+});
+
+// --- Minting --- END ---
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+};
+
+const main = () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log('Usage: GEMINI_API_KEY=... node token-server/server.js [--port 8787] [--uses 1] [--expire-minutes 30] [--new-session-minutes 1] [--fake]');
+    return;
+  }
+
+  const apiKey = process.env.GEMINI_API_KEY;
+  if (!apiKey && !args.fake) {
+    console.error('GEMINI_API_KEY is not set (use --fake to issue made-up tokens for the mock server)');
+    process.exit(1);
+  }
+
+  let tokenCount = 0;
+  const server = http.createServer(async (req, res) => {
+    if (req.method === 'GET' && req.url === '/health') {
+      sendJson(res, 200, { ok: true });
+      return;
+    }
+    if (req.method !== 'POST' || req.url !== '/token') {
+      sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    try {
+      const token = args.fake ? await mintFakeToken(args) : await mintToken(apiKey, args);
+      tokenCount++;
+      console.log(`Issued token #${tokenCount} (new sessions until ${token.newSessionExpireTime}, expires ${token.expireTime})`);
+      sendJson(res, 200, token);
+    } catch (error) {
+      console.error(`Minting failed: ${error.message}`);
+      sendJson(res, 502, { error: 'Could not mint a token' });
+    }
+  });
+
+  server.listen(args.port, () => {
+    console.log(`Token server listening on http://localhost:${args.port}${args.fake ? ' (fake tokens)' : ''}`);
+  });
+};
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { mintToken, mintFakeToken };